@@ -1,63 +1,127 @@
+const crypto = require('crypto');
+const fs = require('fs');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 
+const AUTH_MODES = ['none', 'hs256', 'rs256'];
+
+const ROLE_HIERARCHY = {
+  'user': 1,
+  'moderator': 2,
+  'admin': 3,
+  'super_admin': 4
+};
+
+// Authentication is configured with AUTH_MODE:
+//   none  - local development only: tokens are decoded without verification
+//           and sockets may identify themselves with a handshake `user` payload
+//   hs256 - tokens must verify against the shared JWT_SECRET
+//   rs256 - tokens must verify against JWT_PUBLIC_KEY_FILE (PEM) or a key
+//           from JWT_JWKS_FILE (a local JWKS document, matched by `kid`)
 class AuthMiddleware {
-  constructor() {
-    this.jwtSecret = process.env.JWT_SECRET || 'default-secret-key';
-    // For Firebase tokens, you might need to disable verification or use Firebase Admin SDK
-    this.skipVerification = process.env.SKIP_JWT_VERIFICATION === 'true';
+  constructor(options = {}) {
+    this.mode = (options.mode || process.env.AUTH_MODE || 'none').toLowerCase();
+
+    if (!AUTH_MODES.includes(this.mode)) {
+      throw new Error(`Unknown AUTH_MODE: ${this.mode}`);
+    }
+
+    this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET;
+    this.publicKeys = new Map(); // kid -> KeyObject ('default' for a single PEM key)
+
+    if (this.mode === 'hs256' && !this.jwtSecret) {
+      throw new Error('JWT_SECRET is required when AUTH_MODE=hs256');
+    }
+
+    if (this.mode === 'rs256') {
+      this.loadPublicKeys(
+        options.publicKeyFile || process.env.JWT_PUBLIC_KEY_FILE,
+        options.jwksFile || process.env.JWT_JWKS_FILE
+      );
+    }
+
+    if (this.mode === 'none') {
+      logger.warn('AUTH_MODE=none: tokens are not verified, do not use in production');
+    }
   }
 
-  // Socket.IO authentication middleware
-  socketAuth = (socket, next) => {
-    try {
-      const token = socket.handshake.auth?.token || socket.handshake.query?.token;
-      
-      if (!token) {
-        logger.warn('Socket connection attempted without token', { 
-          socketId: socket.id,
-          ip: socket.handshake.address 
+  loadPublicKeys(publicKeyFile, jwksFile) {
+    if (publicKeyFile) {
+      this.publicKeys.set('default', crypto.createPublicKey(fs.readFileSync(publicKeyFile)));
+    } else if (jwksFile) {
+      const jwks = JSON.parse(fs.readFileSync(jwksFile, 'utf8'));
+      (jwks.keys || [])
+        .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+        .forEach((jwk, index) => {
+          this.publicKeys.set(jwk.kid || `key-${index}`, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
         });
-        return next(new Error('Authentication required'));
-      }
+    } else {
+      throw new Error('JWT_PUBLIC_KEY_FILE or JWT_JWKS_FILE is required when AUTH_MODE=rs256');
+    }
 
-      // Handle JWT token verification
-      let decoded;
-      if (this.skipVerification) {
-        // For debugging: decode without verification
-        decoded = jwt.decode(token);
-        logger.info('JWT verification skipped (debug mode)', { tokenPayload: decoded });
-      } else {
-        try {
-          // Verify JWT token
-          decoded = jwt.verify(token, this.jwtSecret);
-        } catch (verifyError) {
-          // If verification fails, try to decode without verification for Firebase tokens
-          logger.warn('JWT verification failed, attempting decode-only', { error: verifyError.message });
-          decoded = jwt.decode(token);
-          if (!decoded) {
-            throw verifyError;
-          }
+    if (this.publicKeys.size === 0) {
+      throw new Error('No usable RSA signing keys found');
+    }
+    logger.info(`Loaded ${this.publicKeys.size} RS256 public key(s)`);
+  }
+
+  // Pick the verification key for an RS256 token from its `kid` header
+  getPublicKey(token) {
+    const header = jwt.decode(token, { complete: true })?.header || {};
+
+    if (header.kid && this.publicKeys.has(header.kid)) {
+      return this.publicKeys.get(header.kid);
+    }
+    // A single PEM key verifies every token; a single JWKS key only kid-less ones
+    if (this.publicKeys.has('default')) {
+      return this.publicKeys.get('default');
+    }
+    if (!header.kid && this.publicKeys.size === 1) {
+      return this.publicKeys.values().next().value;
+    }
+    throw new jwt.JsonWebTokenError('No matching key for token');
+  }
+
+  // Verify a token according to the configured mode. Never falls back to an
+  // unverified decode outside of `none`.
+  verifyToken = (token) => {
+    switch (this.mode) {
+      case 'hs256':
+        return jwt.verify(token, this.jwtSecret, { algorithms: ['HS256'] });
+      case 'rs256':
+        return jwt.verify(token, this.getPublicKey(token), { algorithms: ['RS256'] });
+      default: {
+        const decoded = jwt.decode(token);
+        if (!decoded || typeof decoded !== 'object') {
+          throw new jwt.JsonWebTokenError('Invalid token');
         }
+        return decoded;
       }
-      
-      // Handle different JWT structures (Firebase, custom, etc.)
-      let userInfo;
-      if (decoded.claims && decoded.claims.user) {
-        // Firebase/Snippyly JWT structure
-        userInfo = decoded.claims.user;
-      } else if (decoded.user) {
-        // Custom JWT with user object
-        userInfo = decoded.user;
-      } else {
-        // Flat JWT structure
-        userInfo = decoded;
-      }
-      
-      // Attach user information to socket
-      socket.userId = userInfo.userId || userInfo.userSnippylyId || userInfo.id || decoded.uid;
-      socket.userInfo = {
-        id: socket.userId,
+    }
+  };
+
+  // Map a decoded token to { userId, userInfo, service, permissions }.
+  // Handles Firebase/Snippyly, custom `user` object and flat structures.
+  // Service tokens carry a `service` name and a `permissions` array.
+  getIdentity(decoded) {
+    let userInfo;
+    if (decoded.claims && decoded.claims.user) {
+      userInfo = decoded.claims.user;
+    } else if (decoded.user) {
+      userInfo = decoded.user;
+    } else {
+      userInfo = decoded;
+    }
+
+    const service = decoded.service || null;
+    const userId = userInfo.userId || userInfo.userSnippylyId || userInfo.id || decoded.uid || decoded.sub ||
+      (service ? `service:${service}` : undefined);
+    return {
+      userId,
+      service,
+      permissions: Array.isArray(decoded.permissions) ? decoded.permissions : [],
+      userInfo: {
+        id: userId,
         username: userInfo.clientUserName || userInfo.username || userInfo.name,
         email: userInfo.email,
         name: userInfo.name || userInfo.clientUserName,
@@ -66,12 +130,82 @@ class AuthMiddleware {
         textColor: userInfo.textColor,
         color: userInfo.color,
         organizationId: userInfo.organizationId || userInfo.clientOrganizationId
+      }
+    };
+  }
+
+  // Identity for a token-less socket in `none` mode: a handshake `user`
+  // payload (object or JSON string), or a guest
+  getHandshakeIdentity(socket) {
+    const user = socket.handshake.auth?.user || socket.handshake.query?.user;
+
+    if (user && typeof user === 'string') {
+      try {
+        const userInfo = JSON.parse(user);
+        return {
+          userId: userInfo.userId || userInfo.id || userInfo.userSnippylyId || `user-${socket.id}`,
+          userInfo
+        };
+      } catch (e) {
+        return {
+          userId: `user-${socket.id}`,
+          userInfo: { username: user, name: user }
+        };
+      }
+    }
+
+    if (user && typeof user === 'object') {
+      return {
+        userId: user.userId || user.id || user.userSnippylyId || `user-${socket.id}`,
+        userInfo: user
       };
+    }
+
+    const userId = `guest-${socket.id}`;
+    return {
+      userId,
+      userInfo: {
+        id: userId,
+        username: `Guest${socket.id.substring(0, 6)}`,
+        name: `Guest User`,
+        email: `guest@example.com`,
+        role: 'user'
+      }
+    };
+  }
+
+  // Socket.IO authentication middleware
+  socketAuth = (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+
+      let identity;
+      if (token) {
+        identity = this.getIdentity(this.verifyToken(token));
+      } else if (this.mode === 'none') {
+        identity = this.getHandshakeIdentity(socket);
+      } else {
+        logger.warn('Socket connection attempted without token', {
+          socketId: socket.id,
+          ip: socket.handshake.address
+        });
+        return next(new Error('Authentication required'));
+      }
+
+      if (!identity.userId) {
+        throw new jwt.JsonWebTokenError('Token has no user id');
+      }
+
+      // Attach user information to socket
+      socket.userId = identity.userId;
+      socket.userInfo = { ...identity.userInfo, id: identity.userId };
+      socket.service = identity.service || null;
+      socket.permissions = identity.permissions || [];
 
       logger.info('Socket authenticated successfully', {
         socketId: socket.id,
         userId: socket.userId,
-        username: decoded.username
+        mode: this.mode
       });
 
       next();
@@ -92,7 +226,7 @@ class AuthMiddleware {
     }
   };
 
-  // Express middleware for HTTP routes (if needed)
+  // Express middleware for HTTP routes
   httpAuth = (req, res, next) => {
     try {
       const authHeader = req.headers.authorization;
@@ -102,16 +236,13 @@ class AuthMiddleware {
         return res.status(401).json({ error: 'Authentication required' });
       }
 
-      const decoded = jwt.verify(token, this.jwtSecret);
-      req.userId = decoded.userId || decoded.id;
-      req.userInfo = {
-        id: req.userId,
-        username: decoded.username,
-        email: decoded.email,
-        name: decoded.name,
-        avatar: decoded.avatar,
-        role: decoded.role || 'user'
-      };
+      const { userId, userInfo } = this.getIdentity(this.verifyToken(token));
+      if (!userId) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+
+      req.userId = userId;
+      req.userInfo = userInfo;
 
       next();
     } catch (error) {
@@ -130,14 +261,78 @@ class AuthMiddleware {
     }
   };
 
-  // Generate JWT token (utility method)
+  // Express middleware for server-to-server routes. Requires a JWT carrying
+  // a `service` name and the given entry in its `permissions` array.
+  serviceAuth = (permission) => {
+    return (req, res, next) => {
+      try {
+        const authHeader = req.headers.authorization;
+        const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+        if (!token) {
+          return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const decoded = this.verifyToken(token);
+        const permissions = Array.isArray(decoded.permissions) ? decoded.permissions : [];
+
+        if (!decoded.service || !permissions.includes(permission)) {
+          logger.warn('Service request without required permission', {
+            service: decoded.service,
+            permission,
+            ip: req.ip
+          });
+          return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        req.service = { name: decoded.service, permissions };
+        next();
+      } catch (error) {
+        logger.warn('Service authentication failed', {
+          error: error.message,
+          ip: req.ip
+        });
+
+        if (error.name === 'TokenExpiredError') {
+          return res.status(401).json({ error: 'Token expired' });
+        }
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+    };
+  };
+
+  // Generate JWT token (utility method, shared-secret modes only)
   generateToken = (userInfo, expiresIn = '24h') => {
+    if (!this.jwtSecret) {
+      throw new Error('generateToken requires JWT_SECRET');
+    }
     return jwt.sign(userInfo, this.jwtSecret, { expiresIn });
   };
 
-  // Verify token (utility method)
-  verifyToken = (token) => {
-    return jwt.verify(token, this.jwtSecret);
+  // Only service connections holding the `impersonate` permission may act
+  // on behalf of the user named in an event payload
+  canImpersonate = (socket) => {
+    return !!socket.service && socket.permissions.includes('impersonate');
+  };
+
+  // Check whether userInfo's role meets requiredRole in the role hierarchy
+  hasRole = (userInfo, requiredRole) => {
+    const userRoleLevel = ROLE_HIERARCHY[userInfo?.role] || 0;
+    const requiredRoleLevel = ROLE_HIERARCHY[requiredRole] || 0;
+    return userRoleLevel >= requiredRoleLevel;
+  };
+
+  // Moderator identity recorded on moderation actions, or null if the user
+  // is below the moderator role
+  getModerator = (userId, userInfo) => {
+    if (!this.hasRole(userInfo, 'moderator')) {
+      return null;
+    }
+    return {
+      id: userId,
+      name: userInfo.name || userInfo.username || userId,
+      role: userInfo.role
+    };
   };
 
   // Check if user has required role
@@ -147,22 +342,11 @@ class AuthMiddleware {
         return next(new Error('User role not found'));
       }
 
-      const userRole = socket.userInfo.role;
-      const roleHierarchy = {
-        'user': 1,
-        'moderator': 2,
-        'admin': 3,
-        'super_admin': 4
-      };
-
-      const userRoleLevel = roleHierarchy[userRole] || 0;
-      const requiredRoleLevel = roleHierarchy[requiredRole] || 0;
-
-      if (userRoleLevel < requiredRoleLevel) {
+      if (!this.hasRole(socket.userInfo, requiredRole)) {
         logger.warn('Insufficient role for socket operation', {
           socketId: socket.id,
           userId: socket.userId,
-          userRole,
+          userRole: socket.userInfo.role,
           requiredRole
         });
         return next(new Error('Insufficient permissions'));
@@ -0,0 +1,644 @@
+const express = require("express");
+const Joi = require("joi");
+const logger = require("../utils/logger");
+const CommentManager = require("../services/CommentManager");
+const { validateCursor } = require("../utils/pagination");
+
+// HTTP mirror of the comment socket events for clients that can't hold a
+// Socket.IO connection. Writes are broadcast to the same item rooms.
+function createCommentRoutes({
+  commentManager,
+  notificationManager,
+  broadcaster,
+  auth,
+  rateLimiter,
+}) {
+  const router = express.Router();
+
+  router.use(auth.httpAuth);
+
+  // Apply the shared rate limiter to writes, keyed by user
+  const limitWrites = async (req, res, next) => {
+    try {
+      await rateLimiter.consume(req.userId);
+      next();
+    } catch (rateLimiterRes) {
+      res.status(429).json({
+        error: "Rate limit exceeded",
+        retryAfter: rateLimiterRes.msBeforeNext,
+      });
+    }
+  };
+
+  const validateBody = (schema) => (req, res, next) => {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid request data", details: error.details });
+    }
+    req.body = value;
+    next();
+  };
+
+  // Parse ?limit=&cursor= into req.page
+  const parsePage = (req, res, next) => {
+    const { limit, cursor } = req.query;
+    const { error, value } = pageQuerySchema.validate({ limit, cursor });
+    if (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid query parameters", details: error.details });
+    }
+    req.page = value;
+    next();
+  };
+
+  // Parse ?status=open,reopened into req.statusFilter
+  const parseStatusFilter = (req, res, next) => {
+    const status = req.query.status ? req.query.status.split(",") : undefined;
+    if (status && !status.every((s) => CommentManager.THREAD_STATUSES.includes(s))) {
+      return res.status(400).json({
+        error: "Invalid status filter",
+        details: { allowed: CommentManager.THREAD_STATUSES },
+      });
+    }
+    req.statusFilter = status;
+    next();
+  };
+
+  // List threads for an item, optionally filtered by status, a page at a time
+  router.get(
+    "/items/:itemId/threads",
+    parseStatusFilter,
+    parsePage,
+    async (req, res) => {
+      try {
+        const page = await commentManager.getCommentThreadsPage(
+          req.params.itemId,
+          req.userInfo,
+          { ...req.page, status: req.statusFilter }
+        );
+        res.json({
+          ...page,
+          ...broadcaster.getSyncBaseline(req.params.itemId),
+        });
+      } catch (error) {
+        logger.error("Error getting comment threads:", error);
+        res.status(500).json({ error: "Failed to get comment threads" });
+      }
+    }
+  );
+
+  // Threads assigned to the caller across all items
+  router.get("/threads/assigned", parseStatusFilter, async (req, res) => {
+    try {
+      const threads = await commentManager.getAssignedThreads(req.userId, {
+        status: req.statusFilter,
+      });
+      res.json({ threads });
+    } catch (error) {
+      logger.error("Error getting assigned threads:", error);
+      res.status(500).json({ error: "Failed to get assigned threads" });
+    }
+  });
+
+  // Get a single annotation thread; with ?limit= or ?cursor= one page of
+  // its comments
+  router.get("/threads/:annotationId", parsePage, async (req, res) => {
+    try {
+      const thread = await commentManager.getCommentThread(
+        req.params.annotationId,
+        { ...req.page, user: req.userInfo }
+      );
+      // A cursor past the last comment is an empty page, not a missing thread
+      if (thread.comments.length === 0 && !req.page.cursor) {
+        return res.status(404).json({ error: "Thread not found" });
+      }
+      res.json({ thread });
+    } catch (error) {
+      logger.error("Error getting comment thread:", error);
+      res.status(500).json({ error: "Failed to get comment thread" });
+    }
+  });
+
+  // Start a new annotation thread on an item
+  router.post(
+    "/items/:itemId/comments",
+    limitWrites,
+    validateBody(createCommentSchema),
+    async (req, res) => {
+      try {
+        const comment = await commentManager.createCommentWithAnnotation({
+          ...req.body,
+          itemId: req.params.itemId,
+          user: req.userInfo,
+        });
+
+        await publishComment(comment, req, res);
+      } catch (error) {
+        logger.error("Error creating comment:", error);
+        res.status(500).json({ error: "Failed to create comment" });
+      }
+    }
+  );
+
+  // Reply to an existing annotation thread
+  router.post(
+    "/threads/:annotationId/comments",
+    limitWrites,
+    validateBody(replySchema),
+    async (req, res) => {
+      try {
+        const { annotationId } = req.params;
+        const thread = await commentManager.getCommentThread(annotationId);
+        if (thread.comments.length === 0) {
+          return res.status(404).json({ error: "Thread not found" });
+        }
+
+        if (thread.locked && !auth.getModerator(req.userId, req.userInfo)) {
+          return res.status(403).json({ error: "Thread is locked" });
+        }
+
+        const { parentCommentId } = req.body;
+        if (
+          parentCommentId &&
+          !thread.comments.some((c) => c.id === parentCommentId)
+        ) {
+          return res
+            .status(400)
+            .json({ error: "Parent comment is not part of this thread" });
+        }
+
+        const comment = await commentManager.createCommentWithAnnotation({
+          itemId: thread.comments[0].itemId,
+          content: req.body.content,
+          context: req.body.context,
+          type: "reply",
+          parentId: parentCommentId || thread.comments[0].id,
+          replyToAnnotationId: annotationId,
+          isReply: true,
+          user: req.userInfo,
+        });
+
+        await publishComment(comment, req, res);
+      } catch (error) {
+        logger.error("Error creating reply:", error);
+        res.status(500).json({ error: "Failed to create reply" });
+      }
+    }
+  );
+
+  // Edit a comment
+  router.patch(
+    "/comments/:commentId",
+    limitWrites,
+    validateBody(updateCommentSchema),
+    async (req, res) => {
+      try {
+        const result = await commentManager.updateComment(
+          req.params.commentId,
+          req.body.content,
+          req.userId,
+          {
+            moderator: auth.getModerator(req.userId, req.userInfo),
+            expectedVersion: req.body.expectedVersion,
+          }
+        );
+        if (!result) {
+          return res
+            .status(404)
+            .json({ error: "Comment not found or unauthorized" });
+        }
+        if (result.conflict) {
+          return res.status(409).json({
+            error: "Comment was changed by someone else",
+            current: commentManager.formatCommentForFrontend(result.conflict),
+          });
+        }
+
+        const { comment } = result;
+
+        broadcaster.commentUpdated(comment);
+        if (comment.userId !== req.userId) {
+          broadcaster.commentModerated(
+            comment,
+            comment.moderation[comment.moderation.length - 1]
+          );
+        }
+        res.json({ comment: commentManager.formatCommentForFrontend(comment) });
+      } catch (error) {
+        logger.error("Error updating comment:", error);
+        res.status(500).json({ error: "Failed to update comment" });
+      }
+    }
+  );
+
+  // Undo a delete within the grace period
+  router.post("/comments/:commentId/restore", limitWrites, async (req, res) => {
+    try {
+      const restored = await commentManager.restoreComment(
+        req.params.commentId,
+        req.userId,
+        { moderator: auth.getModerator(req.userId, req.userInfo) }
+      );
+      if (!restored) {
+        return res
+          .status(404)
+          .json({ error: "Comment not found or cannot be restored" });
+      }
+
+      const [comment] = restored;
+      broadcaster.commentRestored(restored);
+      if (comment.userId !== req.userId) {
+        broadcaster.commentModerated(
+          comment,
+          comment.moderation[comment.moderation.length - 1]
+        );
+      }
+      res.json({
+        comments: restored.map((c) => commentManager.formatCommentForFrontend(c)),
+      });
+    } catch (error) {
+      logger.error("Error restoring comment:", error);
+      res.status(500).json({ error: "Failed to restore comment" });
+    }
+  });
+
+  // Read a comment's edit history
+  router.get("/comments/:commentId/history", async (req, res) => {
+    try {
+      const comment = await commentManager.getComment(req.params.commentId);
+      if (
+        !comment ||
+        !commentManager.canViewHistory(
+          comment,
+          req.userId,
+          auth.getModerator(req.userId, req.userInfo)
+        )
+      ) {
+        return res.status(404).json({ error: "Comment not found" });
+      }
+
+      res.json(await commentManager.getCommentHistory(req.params.commentId));
+    } catch (error) {
+      logger.error("Error getting comment history:", error);
+      res.status(500).json({ error: "Failed to get comment history" });
+    }
+  });
+
+  // Revert a comment to an earlier revision (admins only)
+  router.post(
+    "/comments/:commentId/revert",
+    limitWrites,
+    validateBody(revertSchema),
+    async (req, res) => {
+      try {
+        if (!auth.hasRole(req.userInfo, "admin")) {
+          return res.status(403).json({ error: "Insufficient permissions" });
+        }
+
+        const comment = await commentManager.revertComment(
+          req.params.commentId,
+          req.body.revision,
+          auth.getModerator(req.userId, req.userInfo)
+        );
+        if (!comment) {
+          return res
+            .status(404)
+            .json({ error: "Comment or revision not found" });
+        }
+
+        broadcaster.commentUpdated(comment);
+        res.json({ comment: commentManager.formatCommentForFrontend(comment) });
+      } catch (error) {
+        logger.error("Error reverting comment:", error);
+        res.status(500).json({ error: "Failed to revert comment" });
+      }
+    }
+  );
+
+  // Delete a comment (and its replies)
+  router.delete("/comments/:commentId", limitWrites, async (req, res) => {
+    try {
+      const comment = await commentManager.deleteComment(
+        req.params.commentId,
+        req.userId,
+        { moderator: auth.getModerator(req.userId, req.userInfo) }
+      );
+      if (!comment) {
+        return res
+          .status(404)
+          .json({ error: "Comment not found or unauthorized" });
+      }
+
+      broadcaster.commentDeleted(comment);
+      if (comment.userId !== req.userId) {
+        broadcaster.commentModerated(
+          comment,
+          comment.moderation[comment.moderation.length - 1]
+        );
+      }
+      res.json({ comment: commentManager.formatCommentForFrontend(comment) });
+    } catch (error) {
+      logger.error("Error deleting comment:", error);
+      res.status(500).json({ error: "Failed to delete comment" });
+    }
+  });
+
+  // Change thread status
+  router.patch(
+    "/threads/:annotationId/status",
+    limitWrites,
+    validateBody(updateStatusSchema),
+    async (req, res) => {
+      try {
+        const { annotationId } = req.params;
+        const { status, expectedVersion } = req.body;
+
+        const result = await commentManager.updateCommentStatus(
+          annotationId,
+          status,
+          req.userInfo,
+          { expectedVersion }
+        );
+        if (!result) {
+          return res.status(404).json({ error: "Thread not found" });
+        }
+        if (result.conflict) {
+          return res.status(409).json({
+            error: "Thread was changed by someone else",
+            current: result.conflict,
+          });
+        }
+        if (result.error) {
+          return res.status(409).json({ error: result.error });
+        }
+
+        broadcaster.commentStatusUpdated(result.thread);
+        res.json({
+          annotationId,
+          status,
+          version: result.thread.version,
+          resolvedBy: result.thread.resolvedBy,
+          resolvedAt: result.thread.resolvedAt,
+        });
+      } catch (error) {
+        logger.error("Error updating comment status:", error);
+        res.status(500).json({ error: "Failed to update comment status" });
+      }
+    }
+  );
+
+  // Move the caller's read marker
+  router.post(
+    "/threads/:annotationId/read",
+    validateBody(markReadSchema),
+    async (req, res) => {
+      try {
+        const readState = await commentManager.markThreadRead(
+          req.params.annotationId,
+          req.userId,
+          req.body?.commentId
+        );
+        if (!readState) {
+          return res
+            .status(404)
+            .json({ error: "Thread or comment not found" });
+        }
+
+        broadcaster.threadRead(req.userId, readState);
+        res.json(readState);
+      } catch (error) {
+        logger.error("Error marking thread read:", error);
+        res.status(500).json({ error: "Failed to mark thread read" });
+      }
+    }
+  );
+
+  // Assign a user to a thread
+  router.post(
+    "/threads/:annotationId/assignees",
+    limitWrites,
+    validateBody(assignSchema),
+    async (req, res) => {
+      try {
+        const result = await commentManager.assignThread(
+          req.params.annotationId,
+          req.body.userId,
+          {
+            id: req.userId,
+            name: req.userInfo.name || req.userInfo.username || req.userId,
+          }
+        );
+        if (!result) {
+          return res.status(404).json({ error: "Thread not found" });
+        }
+
+        if (result.assignee) {
+          await broadcaster.threadUpdated(result.thread);
+          await notificationManager.createAssignmentNotification(
+            result.thread,
+            result.assignee
+          );
+        }
+        res.json({ assignees: result.thread.assignees });
+      } catch (error) {
+        logger.error("Error assigning thread:", error);
+        res.status(500).json({ error: "Failed to assign thread" });
+      }
+    }
+  );
+
+  // Remove an assignee from a thread
+  router.delete(
+    "/threads/:annotationId/assignees/:userId",
+    limitWrites,
+    async (req, res) => {
+      try {
+        const result = await commentManager.unassignThread(
+          req.params.annotationId,
+          req.params.userId,
+          req.userId,
+          { moderator: auth.getModerator(req.userId, req.userInfo) }
+        );
+        if (!result) {
+          return res
+            .status(404)
+            .json({ error: "User is not assigned to this thread" });
+        }
+        if (result.forbidden) {
+          return res.status(403).json({ error: "Insufficient permissions" });
+        }
+
+        await broadcaster.threadUpdated(result.thread);
+        res.json({ assignees: result.thread.assignees });
+      } catch (error) {
+        logger.error("Error unassigning thread:", error);
+        res.status(500).json({ error: "Failed to unassign thread" });
+      }
+    }
+  );
+
+  // Get a comment's reactions and the deployment's reaction policy
+  router.get("/comments/:commentId/reactions", async (req, res) => {
+    try {
+      const reactions = await commentManager.getReactions(null, req.params.commentId);
+      if (!reactions) {
+        return res.status(404).json({ error: "Comment not found" });
+      }
+      res.json({
+        commentId: req.params.commentId,
+        reactions,
+        policy: commentManager.getReactionPolicy(),
+      });
+    } catch (error) {
+      logger.error("Error getting reactions:", error);
+      res.status(500).json({ error: "Failed to get reactions" });
+    }
+  });
+
+  // Add a reaction to a comment; adding one the user already has is a no-op
+  router.post(
+    "/comments/:commentId/reactions",
+    limitWrites,
+    validateBody(reactionSchema),
+    async (req, res) => {
+      try {
+        const { commentId } = req.params;
+        const { reaction } = req.body;
+        const reactionEmoji =
+          typeof reaction === "string" ? reaction : reaction.emoji;
+
+        const reactionResult = await commentManager.addReaction(
+          null,
+          commentId,
+          reactionEmoji,
+          req.userInfo
+        );
+        if (!reactionResult) {
+          return res.status(404).json({ error: "Comment not found" });
+        }
+        if (reactionResult.error) {
+          return res.status(400).json({ error: reactionResult.error });
+        }
+
+        const broadcastData = reactionResult.changed
+          ? await broadcaster.reactionAdded(null, commentId, reactionResult)
+          : await broadcaster.reactionPayload(null, commentId, reactionResult);
+        res.json(broadcastData);
+      } catch (error) {
+        logger.error("Error adding reaction:", error);
+        res.status(500).json({ error: "Failed to add reaction" });
+      }
+    }
+  );
+
+  // Remove the user's reaction; removing one they don't have is a no-op
+  router.delete(
+    "/comments/:commentId/reactions/:reaction",
+    limitWrites,
+    async (req, res) => {
+      try {
+        const { commentId, reaction } = req.params;
+        const reactionResult = await commentManager.removeReaction(
+          null,
+          commentId,
+          reaction,
+          req.userInfo
+        );
+        if (!reactionResult) {
+          return res.status(404).json({ error: "Comment not found" });
+        }
+
+        const broadcastData = reactionResult.changed
+          ? await broadcaster.reactionRemoved(null, commentId, reactionResult)
+          : await broadcaster.reactionPayload(null, commentId, reactionResult);
+        res.json(broadcastData);
+      } catch (error) {
+        logger.error("Error removing reaction:", error);
+        res.status(500).json({ error: "Failed to remove reaction" });
+      }
+    }
+  );
+
+  // Broadcast a new comment, notify participants and mentioned users and
+  // respond with it
+  async function publishComment(comment, req, res) {
+    const { thread } = await broadcaster.commentAdded(comment);
+    await notificationManager.createCommentNotification(comment, req.userId);
+    await notificationManager.createMentionNotifications(comment, req.userId);
+
+    const { unresolved } = commentManager.resolveMentions(comment.content);
+
+    logger.info(`Comment created over HTTP for item ${comment.itemId}`, {
+      commentId: comment.id,
+      annotationId: comment.annotationId,
+      userId: req.userId,
+    });
+
+    res.status(201).json({
+      comment: commentManager.formatCommentForFrontend(comment),
+      thread,
+      unresolvedMentions: unresolved,
+    });
+  }
+
+  return router;
+}
+
+// Validation schemas
+const createCommentSchema = Joi.object({
+  content: Joi.string().min(1).max(2000).required(),
+  type: Joi.string().optional(),
+  context: Joi.object().optional(),
+});
+
+const replySchema = Joi.object({
+  content: Joi.string().min(1).max(2000).required(),
+  context: Joi.object().optional(),
+  parentCommentId: Joi.string().optional(),
+});
+
+const updateCommentSchema = Joi.object({
+  content: Joi.string().min(1).max(2000).required(),
+  expectedVersion: Joi.number().integer().min(1).optional(),
+});
+
+const revertSchema = Joi.object({
+  revision: Joi.number().integer().min(1).required(),
+});
+
+const updateStatusSchema = Joi.object({
+  status: Joi.string()
+    .valid(...CommentManager.THREAD_STATUSES)
+    .required(),
+  expectedVersion: Joi.number().integer().min(0).optional(),
+});
+
+const pageQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).optional(),
+  cursor: Joi.string().custom(validateCursor, "pagination cursor").optional(),
+});
+
+const markReadSchema = Joi.object({
+  commentId: Joi.string().optional(),
+});
+
+const assignSchema = Joi.object({
+  userId: Joi.string().required(),
+});
+
+const reactionSchema = Joi.object({
+  reaction: Joi.alternatives()
+    .try(
+      Joi.string(),
+      Joi.object({
+        emoji: Joi.string().required(),
+        name: Joi.string().required(),
+      })
+    )
+    .required(),
+});
+
+module.exports = createCommentRoutes;
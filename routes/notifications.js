@@ -0,0 +1,101 @@
+const express = require("express");
+const Joi = require("joi");
+const logger = require("../utils/logger");
+
+// Notification center API. Every route is scoped to the authenticated user;
+// NotificationManager treats other users' notifications as not found.
+function createNotificationRoutes({ notificationManager, auth }) {
+  const router = express.Router();
+
+  router.use(auth.httpAuth);
+
+  // Paginated notification history (newest first)
+  router.get("/", async (req, res) => {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid query parameters", details: error.details });
+    }
+
+    try {
+      const { limit, offset, unread } = value;
+      const notifications = unread
+        ? await notificationManager.getUnreadNotifications(req.userId, limit)
+        : await notificationManager.getAllNotifications(
+            req.userId,
+            limit,
+            offset
+          );
+
+      res.json({ notifications, limit, offset: unread ? 0 : offset });
+    } catch (error) {
+      logger.error("Error getting notifications:", error);
+      res.status(500).json({ error: "Failed to get notifications" });
+    }
+  });
+
+  // Unread/total counts
+  router.get("/stats", async (req, res) => {
+    try {
+      const stats = await notificationManager.getNotificationStats(req.userId);
+      res.json(stats);
+    } catch (error) {
+      logger.error("Error getting notification stats:", error);
+      res.status(500).json({ error: "Failed to get notification stats" });
+    }
+  });
+
+  router.post("/read-all", async (req, res) => {
+    try {
+      const marked = await notificationManager.markAllAsRead(req.userId);
+      res.json({ marked });
+    } catch (error) {
+      logger.error("Error marking notifications as read:", error);
+      res.status(500).json({ error: "Failed to mark notifications as read" });
+    }
+  });
+
+  router.post("/:notificationId/read", async (req, res) => {
+    try {
+      const marked = await notificationManager.markAsRead(
+        req.params.notificationId,
+        req.userId
+      );
+      if (!marked) {
+        return res.status(404).json({ error: "Notification not found" });
+      }
+      res.json({ notificationId: req.params.notificationId, read: true });
+    } catch (error) {
+      logger.error("Error marking notification as read:", error);
+      res.status(500).json({ error: "Failed to mark notification as read" });
+    }
+  });
+
+  router.delete("/:notificationId", async (req, res) => {
+    try {
+      const deleted = await notificationManager.deleteNotification(
+        req.params.notificationId,
+        req.userId
+      );
+      if (!deleted) {
+        return res.status(404).json({ error: "Notification not found" });
+      }
+      res.json({ notificationId: req.params.notificationId, deleted: true });
+    } catch (error) {
+      logger.error("Error deleting notification:", error);
+      res.status(500).json({ error: "Failed to delete notification" });
+    }
+  });
+
+  return router;
+}
+
+// Validation schemas
+const listQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+  unread: Joi.boolean().default(false),
+});
+
+module.exports = createNotificationRoutes;
@@ -0,0 +1,69 @@
+const express = require("express");
+const Joi = require("joi");
+const logger = require("../utils/logger");
+
+// Server-to-server endpoints, authenticated with service tokens
+function createServiceRoutes({ notificationManager, auth, io }) {
+  const router = express.Router();
+
+  // Persist a custom notification for each recipient. NotificationManager
+  // emits notification_created, which the server pushes to user:${recipientId}.
+  router.post(
+    "/notifications",
+    auth.serviceAuth("notifications:push"),
+    async (req, res) => {
+      const { error, value } = pushNotificationSchema.validate(req.body);
+      if (error) {
+        return res
+          .status(400)
+          .json({ error: "Invalid notification data", details: error.details });
+      }
+
+      try {
+        const recipientIds = [
+          ...new Set(value.recipientIds || [value.recipientId]),
+        ];
+        const results = [];
+
+        for (const recipientId of recipientIds) {
+          const notification =
+            await notificationManager.createCustomNotification(
+              recipientId,
+              value.type,
+              value.data
+            );
+
+          // Online means at least one socket is in the user's room right now
+          const room = io.sockets.adapter.rooms.get(`user:${recipientId}`);
+          results.push({
+            recipientId,
+            notificationId: notification.id,
+            status: room && room.size > 0 ? "online" : "queued",
+          });
+        }
+
+        logger.info(`Service ${req.service.name} pushed ${value.type} notifications`, {
+          recipients: recipientIds.length,
+          online: results.filter((r) => r.status === "online").length,
+        });
+
+        res.status(201).json({ results });
+      } catch (error) {
+        logger.error("Error pushing notifications:", error);
+        res.status(500).json({ error: "Failed to push notifications" });
+      }
+    }
+  );
+
+  return router;
+}
+
+// Validation schemas
+const pushNotificationSchema = Joi.object({
+  recipientId: Joi.string(),
+  recipientIds: Joi.array().items(Joi.string()).min(1).max(1000),
+  type: Joi.string().min(1).max(100).required(),
+  data: Joi.object().default({}),
+}).xor("recipientId", "recipientIds");
+
+module.exports = createServiceRoutes;
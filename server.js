@@ -1,5 +1,6 @@
 const express = require("express");
 const http = require("http");
+const path = require("path");
 const socketIo = require("socket.io");
 const cors = require("cors");
 const helmet = require("helmet");
@@ -10,6 +11,22 @@ require("dotenv").config();
 const logger = require("./utils/logger");
 const CommentManager = require("./services/CommentManager");
 const NotificationManager = require("./services/NotificationManager");
+const EventJournal = require("./services/EventJournal");
+const CommentBroadcaster = require("./services/CommentBroadcaster");
+const UserDirectory = require("./services/UserDirectory");
+const PresenceTracker = require("./services/PresenceTracker");
+const TypingTracker = require("./services/TypingTracker");
+const { validateCursor } = require("./utils/pagination");
+const {
+  ERROR_CODES,
+  respond,
+  respondError,
+  moveAckCallback,
+} = require("./utils/socketResponses");
+const AuthMiddleware = require("./middleware/auth");
+const createCommentRoutes = require("./routes/comments");
+const createNotificationRoutes = require("./routes/notifications");
+const createServiceRoutes = require("./routes/service");
 
 // Initialize Express app
 const app = express();
@@ -18,7 +35,7 @@ const server = http.createServer(app);
 // Configure CORS
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || "https://local.pendo.io:3000",
-  methods: ["GET", "POST"],
+  methods: ["GET", "POST", "PATCH", "DELETE"],
   credentials: true,
 };
 
@@ -28,6 +45,9 @@ const io = socketIo(server, {
   transports: ["websocket", "polling"],
 });
 
+// Authentication, configured via AUTH_MODE (none | hs256 | rs256)
+const auth = new AuthMiddleware();
+
 // Middleware
 app.use(helmet());
 app.use(cors(corsOptions));
@@ -42,9 +62,77 @@ const rateLimiter = new rateLimit.RateLimiterMemory({
   duration: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
 });
 
+// Optional write-ahead journal for crash recovery and auditing
+const journal =
+  process.env.JOURNAL_ENABLED === "true"
+    ? new EventJournal({
+        dir: process.env.JOURNAL_DIR || path.join(__dirname, "data", "journal"),
+        compactThreshold: parseInt(process.env.JOURNAL_COMPACT_THRESHOLD) || 1000,
+        compactIntervalMs:
+          parseInt(process.env.JOURNAL_COMPACT_INTERVAL_MS) || 300000, // 5 minutes
+      })
+    : null;
+
 // Initialize managers
-const commentManager = new CommentManager();
-const notificationManager = new NotificationManager();
+const userDirectory = new UserDirectory();
+const commentManager = new CommentManager({
+  journal,
+  userDirectory,
+  // 0 is a valid grace period, so only fall back when the value isn't a number
+  deleteGraceMs: Number.isNaN(parseInt(process.env.COMMENT_DELETE_GRACE_MS))
+    ? undefined
+    : parseInt(process.env.COMMENT_DELETE_GRACE_MS),
+  purgeIntervalMs: parseInt(process.env.COMMENT_PURGE_INTERVAL_MS) || undefined,
+  reactionMode: process.env.REACTION_MODE || "single",
+  reactionAllowlist: (process.env.REACTION_ALLOWLIST || "")
+    .split(",")
+    .map((emoji) => emoji.trim())
+    .filter(Boolean),
+  clientMessageTtlMs: parseInt(process.env.CLIENT_MESSAGE_ID_TTL_MS) || undefined,
+});
+const broadcaster = new CommentBroadcaster(io, commentManager, {
+  historyLimit: parseInt(process.env.ITEM_HISTORY_LIMIT) || 200,
+  historyIdleMs: parseInt(process.env.ITEM_HISTORY_IDLE_MS) || undefined,
+});
+const notificationManager = new NotificationManager({ journal, commentManager });
+const presence = new PresenceTracker();
+const typing = new TypingTracker({
+  timeoutMs: parseInt(process.env.TYPING_TIMEOUT_MS) || 8000,
+});
+
+// Typing indicators the client never stopped
+typing.on("expired", ({ room, stopPayload }) => {
+  io.to(room).emit("user_stopped_typing", stopPayload);
+});
+
+// Push every new notification to the recipient's personal room
+notificationManager.on("notification_created", (notification) => {
+  io.to(`user:${notification.recipientId}`).emit(
+    "notification_created",
+    notification
+  );
+});
+
+// Server-to-server endpoints (service tokens)
+app.use("/api/service", createServiceRoutes({ notificationManager, auth, io }));
+
+// Notification center for the authenticated user
+app.use(
+  "/api/notifications",
+  createNotificationRoutes({ notificationManager, auth })
+);
+
+// REST API mirroring the comment socket events
+app.use(
+  "/api",
+  createCommentRoutes({
+    commentManager,
+    notificationManager,
+    broadcaster,
+    auth,
+    rateLimiter,
+  })
+);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -57,41 +145,10 @@ app.get("/health", (req, res) => {
 });
 
 // Socket.IO connection handling
-// JWT authentication disabled - accept all connections
+// Authentication (AUTH_MODE) sets socket.userId and socket.userInfo
+io.use(auth.socketAuth);
 
 io.on("connection", (socket) => {
-  // Extract user info from socket handshake (no JWT required)
-  const userInfo = socket.handshake.auth?.user || socket.handshake.query?.user;
-
-  if (userInfo && typeof userInfo === "string") {
-    try {
-      // Parse JSON string if needed
-      socket.userInfo = JSON.parse(userInfo);
-      socket.userId =
-        socket.userInfo.userId ||
-        socket.userInfo.id ||
-        socket.userInfo.userSnippylyId;
-    } catch (e) {
-      // If parsing fails, create basic user info
-      socket.userInfo = { username: userInfo, name: userInfo };
-      socket.userId = `user-${socket.id}`;
-    }
-  } else if (userInfo && typeof userInfo === "object") {
-    // User info already parsed
-    socket.userInfo = userInfo;
-    socket.userId = userInfo.userId || userInfo.id || userInfo.userSnippylyId;
-  } else {
-    // No user info provided - create guest user
-    socket.userId = `guest-${socket.id}`;
-    socket.userInfo = {
-      id: socket.userId,
-      username: `Guest${socket.id.substring(0, 6)}`,
-      name: `Guest User`,
-      email: `guest@example.com`,
-      role: "user",
-    };
-  }
-
   logger.info(`Client connected: ${socket.id}`, {
     userId: socket.userId,
     userInfo: socket.userInfo,
@@ -100,73 +157,106 @@ io.on("connection", (socket) => {
   // Join user to their personal notification room
   socket.join(`user:${socket.userId}`);
 
+  // Make the user mentionable
+  userDirectory.remember(socket.userId, socket.userInfo);
+
+  // Every event may take an ack callback (see utils/socketResponses)
+  socket.use(moveAckCallback);
+
   // Handle joining comment threads
-  socket.on("join_thread", async (data) => {
+  socket.on("join_thread", async (data, ack) => {
     try {
       const { error, value } = validateJoinThread(data);
       if (error) {
-        socket.emit("error", {
-          message: "Invalid join thread data",
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid join thread data", {
           details: error.details,
         });
         return;
       }
 
-      const { threadId, threadType } = value;
-      const roomName = `${threadType}:${threadId}`;
+      const { threadId, threadType, limit } = value;
+      const roomName = broadcaster.getThreadRoom(threadType, threadId);
 
       await socket.join(roomName);
 
-      // Send existing comments for this thread
-      const comments = await commentManager.getCommentsForThread(
+      // Send the first page of existing comments for this thread
+      const page = await commentManager.getCommentsForThread(
         threadId,
-        threadType
+        threadType,
+        { limit }
       );
-      socket.emit("thread_comments", { threadId, threadType, comments });
+      const payload = { threadId, threadType, ...page };
+      socket.emit("thread_comments", payload);
+      respond(ack, payload);
 
       logger.info(
         `User ${socket.userId} joined thread ${threadId} of type ${threadType}`
       );
     } catch (error) {
       logger.error("Error joining thread:", error);
-      socket.emit("error", { message: "Failed to join thread" });
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to join thread");
+    }
+  });
+
+  // Handle loading further pages of a thread's comments
+  socket.on("get_thread_comments", async (data, ack) => {
+    try {
+      const { error, value } = validateGetThreadComments(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid thread comments data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const { threadId, threadType, limit, cursor } = value;
+      const page = await commentManager.getCommentsForThread(
+        threadId,
+        threadType,
+        { limit, cursor }
+      );
+      const payload = { threadId, threadType, cursor, ...page };
+      socket.emit("thread_comments", payload);
+      respond(ack, payload);
+    } catch (error) {
+      logger.error("Error getting thread comments:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to get thread comments");
     }
   });
 
   // Handle leaving comment threads
-  socket.on("leave_thread", async (data) => {
+  socket.on("leave_thread", async (data, ack) => {
     try {
       const { error, value } = validateLeaveThread(data);
       if (error) {
-        socket.emit("error", {
-          message: "Invalid leave thread data",
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid leave thread data", {
           details: error.details,
         });
         return;
       }
 
       const { threadId, threadType } = value;
-      const roomName = `${threadType}:${threadId}`;
+      const roomName = broadcaster.getThreadRoom(threadType, threadId);
 
       await socket.leave(roomName);
+      respond(ack);
       logger.info(
         `User ${socket.userId} left thread ${threadId} of type ${threadType}`
       );
     } catch (error) {
       logger.error("Error leaving thread:", error);
-      socket.emit("error", { message: "Failed to leave thread" });
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to leave thread");
     }
   });
 
   // Handle new comments
-  socket.on("new_comment", async (data) => {
+  socket.on("new_comment", async (data, ack) => {
     try {
       // Apply rate limiting
       try {
         await rateLimiter.consume(socket.id);
       } catch (rateLimiterRes) {
-        socket.emit("error", {
-          message: "Rate limit exceeded",
+        respondError(socket, ack, ERROR_CODES.RATE_LIMITED, "Rate limit exceeded", {
           retryAfter: rateLimiterRes.msBeforeNext,
         });
         return;
@@ -174,33 +264,63 @@ io.on("connection", (socket) => {
 
       const { error, value } = validateNewComment(data);
       if (error) {
-        socket.emit("error", {
-          message: "Invalid comment data",
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid comment data", {
           details: error.details,
         });
         return;
       }
 
-      const comment = await commentManager.createComment({
-        ...value,
-        userId: socket.userId,
-        userInfo: socket.userInfo,
-      });
+      // A retry of a comment that was already created gets the original back
+      const original = value.clientMessageId
+        ? await commentManager.findClientMessage(socket.userId, value.clientMessageId)
+        : null;
+      if (original) {
+        confirmClientMessage(socket, original, true);
+        respond(ack, commentManager.formatCommentForFrontend(original));
+        return;
+      }
 
-      // Get parent comment if this is a reply
-      const parentComment = comment.parentId
-        ? await commentManager.getComment(comment.parentId)
+      // Replies join the parent's annotation thread, so its lock applies
+      const parent = value.parentId
+        ? await commentManager.getComment(value.parentId)
         : null;
+      if (
+        parent &&
+        (await commentManager.getThreadState(parent.annotationId)).locked &&
+        !auth.getModerator(socket.userId, socket.userInfo)
+      ) {
+        respondError(socket, ack, ERROR_CODES.FORBIDDEN, "Thread is locked", {
+          annotationId: parent.annotationId,
+        });
+        return;
+      }
+
+      const { comment, duplicate } = await commentManager.createOnce(
+        socket.userId,
+        value.clientMessageId,
+        () =>
+          commentManager.createComment({
+            ...value,
+            userId: socket.userId,
+            userInfo: socket.userInfo,
+          })
+      );
+      confirmClientMessage(socket, comment, duplicate);
+      if (duplicate) {
+        respond(ack, commentManager.formatCommentForFrontend(comment));
+        return;
+      }
 
-      // Broadcast to all users in the thread
-      const roomName = `${comment.threadType}:${comment.threadId}`;
-      io.to(roomName).emit("comment_added", comment, parentComment);
+      // Broadcast to the thread room and to item clients viewing the thread
+      const { parentComment } = await broadcaster.commentAdded(comment);
+      respond(ack, commentManager.formatCommentForFrontend(comment));
 
       // Create notifications for thread participants
       await notificationManager.createCommentNotification(
         comment,
         socket.userId
       );
+      await notifyMentions(socket, comment);
 
       logger.info(`New comment created by user ${socket.userId}`, {
         commentId: comment.id,
@@ -210,17 +330,16 @@ io.on("connection", (socket) => {
       });
     } catch (error) {
       logger.error("Error creating comment:", error);
-      socket.emit("error", { message: "Failed to create comment" });
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to create comment");
     }
   });
 
   // Handle comment updates
-  socket.on("update_comment", async (data) => {
+  socket.on("update_comment", async (data, ack) => {
     try {
       const { error, value } = validateUpdateComment(data);
       if (error) {
-        socket.emit("error", {
-          message: "Invalid update data",
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid update data", {
           details: error.details,
         });
         return;
@@ -228,29 +347,50 @@ io.on("connection", (socket) => {
 
       logger.info(value.commentId)
 
-      const updatedComment = await commentManager.updateComment(
+      const actor = getActingUser(socket, value.user);
+      const result = await commentManager.updateComment(
         value.commentId,
         value.content,
-        value.user.id
+        actor.userId,
+        {
+          moderator: auth.getModerator(actor.userId, actor.userInfo),
+          expectedVersion: value.expectedVersion,
+        }
       );
 
-      if (updatedComment) {
-        const roomName = `${updatedComment.threadType}:${updatedComment.threadId}`;
-        io.to(roomName).emit("comment_updated", updatedComment);
-        logger.info(
-          `Comment ${value.commentId} updated by user ${socket.userId}`
+      if (!result) {
+        respondError(
+          socket,
+          ack,
+          await missingOrForbidden(value.commentId),
+          "Comment not found or unauthorized"
         );
+      } else if (result.conflict) {
+        respondError(socket, ack, ERROR_CODES.VERSION_CONFLICT, "Comment was changed by someone else", {
+          current: commentManager.formatCommentForFrontend(result.conflict),
+        });
       } else {
-        socket.emit("error", { message: "Comment not found or unauthorized" });
+        const updatedComment = result.comment;
+        broadcaster.commentUpdated(updatedComment);
+        respond(ack, commentManager.formatCommentForFrontend(updatedComment));
+        if (updatedComment.userId !== actor.userId) {
+          broadcaster.commentModerated(
+            updatedComment,
+            updatedComment.moderation[updatedComment.moderation.length - 1]
+          );
+        }
+        logger.info(
+          `Comment ${value.commentId} updated by user ${actor.userId}`
+        );
       }
     } catch (error) {
       logger.error("Error updating comment:", error);
-      socket.emit("error", { message: "Failed to update comment" });
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to update comment");
     }
   });
 
   // Handle comment deletion
-  socket.on("delete_comment", async (data) => {
+  socket.on("delete_comment", async (data, ack) => {
     try {
         logger.info('data', data)
       const { error, value } = validateDeleteComment(data);
@@ -258,114 +398,510 @@ io.on("connection", (socket) => {
           logger.info(
             `error ${error}`
           );
-        socket.emit("error", {
-          message: "Invalid delete data",
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid delete data", {
           details: error.details,
         });
         return;
       }
 
+      const actor = getActingUser(socket, value.user);
       const deletedComment = await commentManager.deleteComment(
         value.commentId,
-        value.user.id
+        actor.userId,
+        { moderator: auth.getModerator(actor.userId, actor.userInfo) }
       );
 
       if (deletedComment) {
-        const roomName = `${deletedComment.threadType}:${deletedComment.threadId}`;
-        io.to(roomName).emit("comment_deleted", deletedComment);
+        broadcaster.commentDeleted(deletedComment);
+        respond(ack, commentManager.formatCommentForFrontend(deletedComment));
+        if (deletedComment.userId !== actor.userId) {
+          broadcaster.commentModerated(
+            deletedComment,
+            deletedComment.moderation[deletedComment.moderation.length - 1]
+          );
+        }
         logger.info(
-          `Comment ${value.commentId} deleted by user ${socket.userId}`
+          `Comment ${value.commentId} deleted by user ${actor.userId}`
         );
       } else {
-        socket.emit("error", { message: "Comment not found or unauthorized" });
+        respondError(
+          socket,
+          ack,
+          await missingOrForbidden(value.commentId, { deletedIsMissing: true }),
+          "Comment not found or unauthorized"
+        );
       }
     } catch (error) {
       logger.error("Error deleting comment:", error);
-      socket.emit("error", { message: "Failed to delete comment" });
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to delete comment");
+    }
+  });
+
+  // Handle undoing a delete within the grace period
+  socket.on("restore_comment", async (data, ack) => {
+    try {
+      const { error, value } = validateRestoreComment(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid restore data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const actor = getActingUser(socket, value.user);
+      const restored = await commentManager.restoreComment(
+        value.commentId,
+        actor.userId,
+        { moderator: auth.getModerator(actor.userId, actor.userInfo) }
+      );
+
+      if (restored) {
+        const [comment] = restored;
+        broadcaster.commentRestored(restored);
+        respond(ack, {
+          comments: restored.map((c) => commentManager.formatCommentForFrontend(c)),
+        });
+        if (comment.userId !== actor.userId) {
+          broadcaster.commentModerated(
+            comment,
+            comment.moderation[comment.moderation.length - 1]
+          );
+        }
+        logger.info(`Comment ${value.commentId} restored by ${actor.userId}`);
+      } else {
+        respondError(
+          socket,
+          ack,
+          await missingOrForbidden(value.commentId),
+          "Comment not found or cannot be restored"
+        );
+      }
+    } catch (error) {
+      logger.error("Error restoring comment:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to restore comment");
+    }
+  });
+
+  // Handle moderator actions on a comment (hide, restore, delete)
+  socket.on("moderate_comment", async (data, ack) => {
+    try {
+      const { error, value } = validateModerateComment(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid moderation data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const moderator = auth.getModerator(socket.userId, socket.userInfo);
+      if (!moderator) {
+        respondError(socket, ack, ERROR_CODES.FORBIDDEN, "Insufficient permissions");
+        return;
+      }
+
+      const result = await commentManager.moderateComment(
+        value.commentId,
+        value.action,
+        moderator,
+        value.reason
+      );
+
+      if (result) {
+        if (value.action === "delete") {
+          broadcaster.commentDeleted(result.comment);
+        }
+        if (result.restored) {
+          broadcaster.commentRestored(result.restored);
+        }
+        broadcaster.commentModerated(result.comment, result.moderation);
+        respond(ack, {
+          comment: commentManager.formatCommentForFrontend(result.comment),
+          moderation: result.moderation,
+        });
+        logger.info(
+          `Comment ${value.commentId} moderated (${value.action}) by ${socket.userId}`
+        );
+      } else {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Comment not found");
+      }
+    } catch (error) {
+      logger.error("Error moderating comment:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to moderate comment");
+    }
+  });
+
+  // Handle locking/unlocking annotation threads against new replies
+  const handleThreadLock = (locked) => async (data, ack) => {
+    try {
+      const { error, value } = validateThreadLock(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid thread lock data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const moderator = auth.getModerator(socket.userId, socket.userInfo);
+      if (!moderator) {
+        respondError(socket, ack, ERROR_CODES.FORBIDDEN, "Insufficient permissions");
+        return;
+      }
+
+      const thread = await commentManager.setThreadLock(
+        value.annotationId,
+        locked,
+        moderator
+      );
+
+      if (thread) {
+        broadcaster.threadLockUpdated(thread);
+        respond(ack, await commentManager.getPublicThreadState(thread));
+      } else {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Thread not found");
+      }
+    } catch (error) {
+      logger.error("Error updating thread lock:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to update thread lock");
+    }
+  };
+
+  socket.on("lock_thread", handleThreadLock(true));
+  socket.on("unlock_thread", handleThreadLock(false));
+
+  // Handle moving the user's read marker in an annotation thread
+  socket.on("mark_thread_read", async (data, ack) => {
+    try {
+      const { error, value } = validateMarkThreadRead(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid read marker data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const readState = await commentManager.markThreadRead(
+        value.annotationId,
+        socket.userId,
+        value.commentId
+      );
+
+      if (readState) {
+        broadcaster.threadRead(socket.userId, readState);
+        respond(ack, readState);
+      } else {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Thread or comment not found");
+      }
+    } catch (error) {
+      logger.error("Error marking thread read:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to mark thread read");
+    }
+  });
+
+  // Handle assigning a user to an annotation thread
+  socket.on("assign_thread", async (data, ack) => {
+    try {
+      const { error, value } = validateThreadAssignment(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid assignment data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const actor = getActingUser(socket, value.user);
+      const result = await commentManager.assignThread(
+        value.annotationId,
+        value.assigneeId,
+        {
+          id: actor.userId,
+          name: actor.userInfo?.name || actor.userInfo?.username || actor.userId,
+        }
+      );
+
+      if (!result) {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Thread not found");
+        return;
+      }
+
+      if (result.assignee) {
+        await broadcaster.threadUpdated(result.thread);
+        await notificationManager.createAssignmentNotification(
+          result.thread,
+          result.assignee
+        );
+      }
+      respond(ack, { assignees: result.thread.assignees });
+    } catch (error) {
+      logger.error("Error assigning thread:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to assign thread");
+    }
+  });
+
+  socket.on("unassign_thread", async (data, ack) => {
+    try {
+      const { error, value } = validateThreadAssignment(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid assignment data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const actor = getActingUser(socket, value.user);
+      const result = await commentManager.unassignThread(
+        value.annotationId,
+        value.assigneeId,
+        actor.userId,
+        { moderator: auth.getModerator(actor.userId, actor.userInfo) }
+      );
+
+      if (!result) {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "User is not assigned to this thread");
+        return;
+      }
+      if (result.forbidden) {
+        respondError(socket, ack, ERROR_CODES.FORBIDDEN, "Insufficient permissions");
+        return;
+      }
+
+      await broadcaster.threadUpdated(result.thread);
+      respond(ack, { assignees: result.thread.assignees });
+    } catch (error) {
+      logger.error("Error unassigning thread:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to unassign thread");
+    }
+  });
+
+  // Handle listing the threads assigned to the current user, across items
+  socket.on("get_assigned_threads", async (data = {}, ack) => {
+    try {
+      const { error, value } = validateAssignedThreads(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid assigned threads data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const actor = getActingUser(socket, value.user);
+      const threads = await commentManager.getAssignedThreads(actor.userId, {
+        status: value.status,
+      });
+      socket.emit("assigned_threads", { threads });
+      respond(ack, { threads });
+    } catch (error) {
+      logger.error("Error getting assigned threads:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to get assigned threads");
+    }
+  });
+
+  // Handle reading a comment's edit history
+  socket.on("get_comment_history", async (data, ack) => {
+    try {
+      const { error, value } = validateCommentHistory(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid comment history data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const comment = await commentManager.getComment(value.commentId);
+      if (
+        !comment ||
+        !commentManager.canViewHistory(
+          comment,
+          socket.userId,
+          auth.getModerator(socket.userId, socket.userInfo)
+        )
+      ) {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Comment not found");
+        return;
+      }
+
+      const history = await commentManager.getCommentHistory(value.commentId);
+      socket.emit("comment_history", history);
+      respond(ack, history);
+    } catch (error) {
+      logger.error("Error getting comment history:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to get comment history");
+    }
+  });
+
+  // Handle reverting a comment to an earlier revision (admins only)
+  socket.on("revert_comment", async (data, ack) => {
+    try {
+      const { error, value } = validateRevertComment(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid revert data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const admin = auth.hasRole(socket.userInfo, "admin")
+        ? auth.getModerator(socket.userId, socket.userInfo)
+        : null;
+      if (!admin) {
+        respondError(socket, ack, ERROR_CODES.FORBIDDEN, "Insufficient permissions");
+        return;
+      }
+
+      const comment = await commentManager.revertComment(
+        value.commentId,
+        value.revision,
+        admin
+      );
+
+      if (comment) {
+        broadcaster.commentUpdated(comment);
+        respond(ack, commentManager.formatCommentForFrontend(comment));
+        logger.info(
+          `Comment ${value.commentId} reverted to revision ${value.revision} by ${socket.userId}`
+        );
+      } else {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Comment or revision not found");
+      }
+    } catch (error) {
+      logger.error("Error reverting comment:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to revert comment");
     }
   });
 
   // Handle notification acknowledgment
-  socket.on("ack_notification", async (data) => {
+  socket.on("ack_notification", async (data, ack) => {
     try {
       const { error, value } = validateAckNotification(data);
       if (error) {
-        socket.emit("error", {
-          message: "Invalid notification data",
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid notification data", {
           details: error.details,
         });
         return;
       }
 
-      await notificationManager.markAsRead(value.notificationId, socket.userId);
+      const marked = await notificationManager.markAsRead(
+        value.notificationId,
+        socket.userId
+      );
+      if (!marked) {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Notification not found");
+        return;
+      }
+      respond(ack, { notificationId: value.notificationId });
       logger.info(
         `Notification ${value.notificationId} acknowledged by user ${socket.userId}`
       );
     } catch (error) {
       logger.error("Error acknowledging notification:", error);
-      socket.emit("error", { message: "Failed to acknowledge notification" });
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to acknowledge notification");
     }
   });
 
   // Handle getting unread notifications
-  socket.on("get_notifications", async () => {
+  socket.on("get_notifications", async (data, ack) => {
     try {
       const notifications = await notificationManager.getUnreadNotifications(
         socket.userId
       );
       socket.emit("notifications", notifications);
+      respond(ack, { notifications });
     } catch (error) {
       logger.error("Error getting notifications:", error);
-      socket.emit("error", { message: "Failed to get notifications" });
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to get notifications");
     }
   });
 
   // Handle typing indicators
-  socket.on("typing_start", (data) => {
-    const { error, value } = validateTyping(data);
-    if (error) return;
+  // Typing indicators expire after TYPING_TIMEOUT_MS unless typing_start is
+  // repeated, and are stopped when the socket disconnects
+  // Invalid typing events were always ignored, so only acks report them
+  socket.on("typing_start", (data, ack) => {
+    try {
+      const { error, value } = validateTyping(data);
+      if (error) {
+        if (ack) {
+          respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid typing data", {
+            details: error.details,
+          });
+        }
+        return;
+      }
 
-    const roomName = `${value.threadType}:${value.threadId}`;
-    socket.to(roomName).emit("user_typing", {
-      userId: socket.userId,
-      userInfo: socket.userInfo,
-      threadId: value.threadId,
-      threadType: value.threadType,
-    });
+      const scope = getTypingScope(value);
+      const context = {
+        room: scope.room,
+        stopPayload: { userId: socket.userId, ...scope.target },
+      };
+
+      if (typing.start(scope.key, socket.userId, socket.id, context)) {
+        socket.to(scope.room).emit("user_typing", {
+          userId: socket.userId,
+          userInfo: socket.userInfo,
+          ...scope.target,
+          expiresInMs: typing.timeoutMs,
+        });
+      }
+      respond(ack, { expiresInMs: typing.timeoutMs });
+    } catch (error) {
+      logger.error("Error starting typing indicator:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to start typing");
+    }
   });
 
-  socket.on("typing_stop", (data) => {
-    const { error, value } = validateTyping(data);
-    if (error) return;
+  socket.on("typing_stop", (data, ack) => {
+    try {
+      const { error, value } = validateTyping(data);
+      if (error) {
+        if (ack) {
+          respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid typing data", {
+            details: error.details,
+          });
+        }
+        return;
+      }
 
-    const roomName = `${value.threadType}:${value.threadId}`;
-    socket.to(roomName).emit("user_stopped_typing", {
-      userId: socket.userId,
-      threadId: value.threadId,
-      threadType: value.threadType,
-    });
+      const scope = getTypingScope(value);
+      const context = typing.stop(scope.key, socket.userId);
+      if (context) {
+        socket.to(context.room).emit("user_stopped_typing", context.stopPayload);
+      }
+      respond(ack);
+    } catch (error) {
+      logger.error("Error stopping typing indicator:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to stop typing");
+    }
   });
 
   // Handle getting comment threads (your required event)
-  socket.on("get_comment_threads", async (data) => {
+  socket.on("get_comment_threads", async (data, ack) => {
     try {
       const { error, value } = validateGetCommentThreads(data);
       if (error) {
-        socket.emit("error", {
-          message: "Invalid get threads data",
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid get threads data", {
           details: error.details,
         });
         return;
       }
 
-      const { itemId, user } = value;
+      const { itemId, user, status, limit, cursor } = value;
 
       // Join the user to the item room so they can receive broadcasts
       const roomName = `item:${itemId}`;
-      await socket.join(roomName);
+      await joinItem(socket, itemId);
 
-      const threads = await commentManager.getCommentThreads(itemId, user);
-      socket.emit("comment_threads_updated", { threads });
+      const page = await commentManager.getCommentThreadsPage(
+        itemId,
+        getActingUser(socket, user).userInfo,
+        { status, limit, cursor }
+      );
+      // seq/epoch are the baseline for sync_item after a reconnect
+      const payload = {
+        ...page,
+        cursor,
+        ...broadcaster.getSyncBaseline(itemId),
+      };
+      socket.emit("comment_threads_updated", payload);
+      respond(ack, payload);
 
       logger.info(`Comment threads retrieved for item ${itemId}`, {
         userId: socket.userId,
@@ -374,19 +910,82 @@ io.on("connection", (socket) => {
       });
     } catch (error) {
       logger.error("Error getting comment threads:", error);
-      socket.emit("error", { message: "Failed to get comment threads" });
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to get comment threads");
+    }
+  });
+
+  // Handle paging through the comments of one annotation thread
+  socket.on("get_thread_page", async (data, ack) => {
+    try {
+      const { error, value } = validateGetThreadPage(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid thread page data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const { annotationId, limit, cursor } = value;
+      const thread = await commentManager.getCommentThread(annotationId, {
+        limit,
+        cursor,
+        user: getActingUser(socket, value.user).userInfo,
+      });
+      // A cursor past the last comment is an empty page, not a missing thread
+      if (thread.comments.length === 0 && !cursor) {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Thread not found");
+        return;
+      }
+
+      const payload = { ...thread, cursor };
+      socket.emit("thread_page", payload);
+      respond(ack, payload);
+    } catch (error) {
+      logger.error("Error getting thread page:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to get thread page");
+    }
+  });
+
+  // Handle catching up on an item after a reconnect
+  socket.on("sync_item", async (data, ack) => {
+    try {
+      const { error, value } = validateSyncItem(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid sync data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const { itemId, lastSeq, epoch } = value;
+
+      // Rejoin first so nothing broadcast from here on is missed
+      await joinItem(socket, itemId);
+
+      const result = broadcaster.getMissedEvents(itemId, lastSeq, epoch);
+      socket.emit("item_sync", result);
+      respond(ack, result);
+
+      logger.info(`Item ${itemId} synced for user ${socket.userId}`, {
+        lastSeq,
+        seq: result.seq,
+        missed: result.events.length,
+        reload: result.reload,
+      });
+    } catch (error) {
+      logger.error("Error syncing item:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to sync item");
     }
   });
 
   // Handle adding comment (your required event structure)
-  socket.on("add_comment", async (data) => {
+  socket.on("add_comment", async (data, ack) => {
     try {
       // Apply rate limiting
       try {
         await rateLimiter.consume(socket.id);
       } catch (rateLimiterRes) {
-        socket.emit("error", {
-          message: "Rate limit exceeded",
+        respondError(socket, ack, ERROR_CODES.RATE_LIMITED, "Rate limit exceeded", {
           retryAfter: rateLimiterRes.msBeforeNext,
         });
         return;
@@ -399,8 +998,7 @@ io.on("connection", (socket) => {
           validationErrors: error.details,
           userId: socket.userId,
         });
-        socket.emit("error", {
-          message: "Invalid comment data",
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid comment data", {
           details: error.details,
         });
         return;
@@ -426,8 +1024,21 @@ io.on("connection", (socket) => {
         isReply,
         parentCommentId,
         parentAnnotationId,
+        clientMessageId,
       } = value;
 
+      const actor = getActingUser(socket, user);
+
+      // A retry of a comment that was already created gets the original back
+      const original = clientMessageId
+        ? await commentManager.findClientMessage(actor.userId, clientMessageId)
+        : null;
+      if (original) {
+        confirmClientMessage(socket, original, true);
+        respond(ack, await duplicateCommentPayload(original));
+        return;
+      }
+
       // Check if this is a reply
       const detectIsReply = isReply === true || type === "reply";
 
@@ -456,6 +1067,14 @@ io.on("connection", (socket) => {
         );
 
         if (thread && thread.comments.length > 0) {
+          // Only moderators may reply to a locked thread
+          if (thread.locked && !auth.getModerator(actor.userId, actor.userInfo)) {
+            respondError(socket, ack, ERROR_CODES.FORBIDDEN, "Thread is locked", {
+              annotationId: threadAnnotationId,
+            });
+            return;
+          }
+
           // Get itemId from the first comment in the thread
           actualItemId = thread.comments[0].itemId;
 
@@ -472,9 +1091,10 @@ io.on("connection", (socket) => {
             threadCommentsCount: thread.comments.length,
           });
         } else {
-          throw new Error(
-            `Thread not found for annotationId: ${threadAnnotationId}`
-          );
+          respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Thread not found", {
+            annotationId: threadAnnotationId,
+          });
+          return;
         }
       } else if (annotationId && !itemId) {
         // Handle legacy case: when annotationId is provided for new thread
@@ -486,51 +1106,43 @@ io.on("connection", (socket) => {
             annotationId,
             itemId: actualItemId,
           });
-        } else {
-          throw new Error(`Thread not found for annotationId: ${annotationId}`);
+        } else {
+          respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Thread not found", {
+            annotationId,
+          });
+          return;
         }
       }
 
-      const comment = await commentManager.createCommentWithAnnotation({
-        itemId: actualItemId,
-        content,
-        type: detectIsReply ? "reply" : type || "comment",
-        context,
-        parentId: actualParentId,
-        replyToAnnotationId: replyToAnnotationId, // Use existing annotation if replying
-        isReply: detectIsReply,
-        user: user || socket.userInfo,
-      });
-
-      // Get parent comment if this is a reply
-      const parentComment = comment.parentId
-        ? await commentManager.getComment(comment.parentId)
-        : null;
-
-      // Get the full thread after adding comment
-      const thread = await commentManager.getCommentThread(
-        comment.annotationId
+      const { comment, duplicate } = await commentManager.createOnce(
+        actor.userId,
+        clientMessageId,
+        () =>
+          commentManager.createCommentWithAnnotation({
+            itemId: actualItemId,
+            content,
+            type: detectIsReply ? "reply" : type || "comment",
+            context,
+            parentId: actualParentId,
+            replyToAnnotationId: replyToAnnotationId, // Use existing annotation if replying
+            isReply: detectIsReply,
+            user: actor.userInfo,
+            clientMessageId,
+          })
       );
+      confirmClientMessage(socket, comment, duplicate);
+      if (duplicate) {
+        respond(ack, await duplicateCommentPayload(comment));
+        return;
+      }
 
       // Join the user to the item room FIRST (before broadcasting)
       const roomName = `item:${actualItemId}`;
-      await socket.join(roomName);
-
-      // Get updated threads early for logging
-      const updatedThreads = await commentManager.getCommentThreads(
-        actualItemId
-      );
-      const updatedThread = updatedThreads.find(
-        (t) => t.annotationId === comment.annotationId
-      );
+      await joinItem(socket, actualItemId);
 
-      // Broadcast to all users in the item room
-      const broadcastData = {
-        annotationId: comment.annotationId,
-        comment: comment,
-        thread: thread,
-        parentComment: parentComment,
-      };
+      // Broadcast comment_added, with the updated thread, to the item room
+      const { broadcastData, thread: updatedThread, parentComment } =
+        await broadcaster.commentAdded(comment);
 
       // Debug: Log the exact data being sent to frontend
       logger.info(`📋 Comment data being broadcast:`, {
@@ -552,33 +1164,17 @@ io.on("connection", (socket) => {
         hasUserInfo: !!comment.userInfo,
       });
 
-      io.to(roomName).emit("comment_added", broadcastData);
-      logger.info(`🚀 Broadcasting comment_added to room ${roomName}`, {
-        event: "comment_added",
-        roomName,
-        annotationId: comment.annotationId,
-      });
-
       // Also emit directly to sender as fallback
       socket.emit("comment_added", broadcastData);
+      respond(ack, broadcastData);
       logger.info(`📤 Emitting comment_added directly to sender ${socket.id}`);
 
-      // Emit updated threads to all users in the room
-      io.to(roomName).emit("comment_threads_updated", {
-        threads: updatedThreads,
-      });
-
-      logger.info(
-        `🔄 Broadcasting comment_threads_updated to room ${roomName}`,
-        {
-          event: "comment_threads_updated",
-          threadsCount: updatedThreads.length,
-          updatedThreadComments: updatedThread
-            ? updatedThread.comments.length
-            : 0,
-          isReply: comment.isReply,
-        }
+      // Notify the other participants of this annotation thread
+      await notificationManager.createCommentNotification(
+        comment,
+        comment.userId
       );
+      await notifyMentions(socket, comment);
 
       if (comment.isReply) {
         logger.info(`🔄 Broadcasted thread update with replies:`, {
@@ -601,52 +1197,56 @@ io.on("connection", (socket) => {
       );
     } catch (error) {
       logger.error("Error adding comment:", error);
-      socket.emit("error", { message: "Failed to add comment" });
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to add comment");
     }
   });
 
   // Handle updating comment status (your required event)
-  socket.on("update_comment_status", async (data) => {
+  socket.on("update_comment_status", async (data, ack) => {
     try {
       const { error, value } = validateUpdateCommentStatus(data);
       if (error) {
-        socket.emit("error", {
-          message: "Invalid status update data",
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid status update data", {
           details: error.details,
         });
         return;
       }
 
       const { annotationId, status, user } = value;
-      const updated = await commentManager.updateCommentStatus(
+      const actor = getActingUser(socket, user);
+      const result = await commentManager.updateCommentStatus(
         annotationId,
         status,
-        user || socket.userInfo
+        actor.userInfo,
+        { expectedVersion: value.expectedVersion }
       );
 
-      if (updated) {
-        // Broadcast status update to all users in the annotation
-        const roomName = `annotation:${annotationId}`;
-        io.to(roomName).emit("comment_status_updated", {
-          annotationId,
-          status,
+      if (!result) {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Thread not found");
+      } else if (result.conflict) {
+        respondError(socket, ack, ERROR_CODES.VERSION_CONFLICT, "Thread was changed by someone else", {
+          current: result.conflict,
         });
+      } else if (result.error) {
+        respondError(socket, ack, ERROR_CODES.CONFLICT, result.error);
+      } else {
+        // Broadcast status update to everyone viewing the item
+        broadcaster.commentStatusUpdated(result.thread);
+        respond(ack, await commentManager.getPublicThreadState(result.thread));
 
         logger.info(`Comment status updated for annotation ${annotationId}`, {
           status,
-          userId: socket.userId,
+          userId: actor.userId,
         });
-      } else {
-        socket.emit("error", { message: "Failed to update comment status" });
       }
     } catch (error) {
       logger.error("Error updating comment status:", error);
-      socket.emit("error", { message: "Failed to update comment status" });
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to update comment status");
     }
   });
 
   // Handle adding reaction (your required event)
-  socket.on("add_reaction", async (data) => {
+  socket.on("add_reaction", async (data, ack) => {
     try {
       logger.info(`📥 Processing add_reaction request`, {
         data: data,
@@ -659,8 +1259,7 @@ io.on("connection", (socket) => {
           receivedData: data,
           validationErrors: error.details,
         });
-        socket.emit("error", {
-          message: "Invalid reaction data",
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid reaction data", {
           details: error.details,
         });
         return;
@@ -678,73 +1277,205 @@ io.on("connection", (socket) => {
       });
       
       const reactionResult = await commentManager.addReaction(
+        annotationId || null,
+        commentId,
+        reactionEmoji,
+        getActingUser(socket, user).userInfo
+      );
+
+      if (!reactionResult) {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Comment not found");
+        return;
+      }
+      if (reactionResult.error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, reactionResult.error);
+        return;
+      }
+
+      // Broadcast the comment's formatted reactions to its item or thread room.
+      // A repeated add changes nothing, so only the sender hears about it.
+      const broadcastData = reactionResult.changed
+        ? await broadcaster.reactionAdded(annotationId, commentId, reactionResult)
+        : await broadcaster.reactionPayload(annotationId, commentId, reactionResult);
+      const formattedReactions = broadcastData.comment.reactions;
+
+      // Also emit directly to sender as fallback
+      socket.emit("reaction_added", broadcastData);
+      respond(ack, broadcastData);
+
+      logger.info(`✅ Reaction ${reactionEmoji} added to comment ${commentId}`, {
         annotationId,
+        reactionType: reactionEmoji,
+        reactionName: typeof reaction === 'object' ? reaction.name : 'unknown',
+        userId: socket.userId,
+        userDisplayName: reactionResult.userDisplayName,
+        reactionCount: reactionResult.count,
+        totalReactions: formattedReactions.length,
+        changed: reactionResult.changed,
+        usersWhoReacted: formattedReactions.find(r => r.type === reactionEmoji)?.users?.map(u => u.displayName) || []
+      });
+    } catch (error) {
+      logger.error("Error adding reaction:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to add reaction");
+    }
+  });
+
+  // Remove the user's reaction; removing one they don't have is a no-op
+  socket.on("remove_reaction", async (data, ack) => {
+    try {
+      const { error, value } = validateRemoveReaction(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid reaction data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const { annotationId, commentId, reaction, user } = value;
+      const reactionEmoji = typeof reaction === 'string' ? reaction : reaction.emoji;
+
+      const reactionResult = await commentManager.removeReaction(
+        annotationId || null,
         commentId,
         reactionEmoji,
-        user || socket.userInfo
+        getActingUser(socket, user).userInfo
       );
+      if (!reactionResult) {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Comment not found");
+        return;
+      }
 
-      if (reactionResult) {
-        // Get the updated comment to send complete reaction data
-        const updatedComment = await commentManager.getComment(commentId);
-        
-        // Convert reaction Sets to arrays and add counts for frontend
-        const formattedReactions = [];
-        if (updatedComment && updatedComment.reactions) {
-          Object.keys(updatedComment.reactions).forEach(reactionType => {
-            const users = Array.from(updatedComment.reactions[reactionType]);
-            if (users.length > 0) {
-              formattedReactions.push({
-                type: reactionType,
-                users: users,
-                count: users.length
-              });
-            }
-          });
-        }
+      const broadcastData = reactionResult.changed
+        ? await broadcaster.reactionRemoved(annotationId, commentId, reactionResult)
+        : await broadcaster.reactionPayload(annotationId, commentId, reactionResult);
+      socket.emit("reaction_removed", broadcastData);
+      respond(ack, broadcastData);
 
-        // Find the item room to broadcast to (same as comments)
-        const comment = updatedComment;
-        const itemRoom = `item:${comment.itemId}`;
-        
-        // Broadcast reaction to all users in the item room
-        const broadcastData = {
-          annotationId,
-          commentId,
-          reaction: reactionResult,
-          comment: {
-            ...comment,
-            reactions: formattedReactions // Send formatted reactions array
-          }
-        };
+      logger.info(`Reaction ${reactionEmoji} removed from comment ${commentId}`, {
+        annotationId,
+        userId: socket.userId,
+        changed: reactionResult.changed,
+      });
+    } catch (error) {
+      logger.error("Error removing reaction:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to remove reaction");
+    }
+  });
 
-        io.to(itemRoom).emit("reaction_added", broadcastData);
-        
-        // Also emit directly to sender as fallback
-        socket.emit("reaction_added", broadcastData);
+  // Get a comment's reactions along with the deployment's reaction policy
+  socket.on("get_reactions", async (data, ack) => {
+    try {
+      const { error, value } = validateGetReactions(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid reactions request", {
+          details: error.details,
+        });
+        return;
+      }
 
-        logger.info(`✅ Reaction ${reactionEmoji} added to comment ${commentId}`, {
-          annotationId,
-          reactionType: reactionEmoji,
-          reactionName: typeof reaction === 'object' ? reaction.name : 'unknown',
-          userId: socket.userId,
-          userDisplayName: reactionResult.userDisplayName,
-          reactionCount: reactionResult.count,
-          totalReactions: formattedReactions.length,
-          broadcastRoom: itemRoom,
-          usersWhoReacted: formattedReactions.find(r => r.type === reactionEmoji)?.users?.map(u => u.displayName) || []
+      const { annotationId, commentId } = value;
+      const reactions = await commentManager.getReactions(annotationId || null, commentId);
+      if (!reactions) {
+        respondError(socket, ack, ERROR_CODES.NOT_FOUND, "Comment not found");
+        return;
+      }
+
+      const payload = {
+        commentId,
+        reactions,
+        policy: commentManager.getReactionPolicy(),
+      };
+      socket.emit("reactions", payload);
+      respond(ack, payload);
+    } catch (error) {
+      logger.error("Error getting reactions:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to get reactions");
+    }
+  });
+
+  // Handle leaving an item room
+  socket.on("leave_item", async (data, ack) => {
+    try {
+      const { error, value } = validateItemPresence(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid leave item data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      await socket.leave(broadcaster.getItemRoom(value.itemId));
+      const entry = presence.leave(value.itemId, socket.id);
+      if (entry) {
+        io.to(broadcaster.getItemRoom(value.itemId)).emit("presence_left", {
+          itemId: value.itemId,
+          user: entry,
         });
-      } else {
-        socket.emit("error", { message: "Failed to add reaction" });
       }
+      respond(ack);
     } catch (error) {
-      logger.error("Error adding reaction:", error);
-      socket.emit("error", { message: "Failed to add reaction" });
+      logger.error("Error leaving item:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to leave item");
+    }
+  });
+
+  // Handle presence queries
+  socket.on("get_presence", (data, ack) => {
+    try {
+      const { error, value } = validateItemPresence(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid presence data", {
+          details: error.details,
+        });
+        return;
+      }
+
+      const payload = { itemId: value.itemId, users: presence.list(value.itemId) };
+      socket.emit("presence", payload);
+      respond(ack, payload);
+    } catch (error) {
+      logger.error("Error getting presence:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to get presence");
+    }
+  });
+
+  // Handle the client reporting active/idle/away
+  socket.on("set_presence_status", (data, ack) => {
+    try {
+      const { error, value } = validatePresenceStatus(data);
+      if (error) {
+        respondError(socket, ack, ERROR_CODES.VALIDATION_FAILED, "Invalid presence status", {
+          details: error.details,
+        });
+        return;
+      }
+
+      presence.setStatus(socket.id, value.status).forEach(({ itemId, entry }) => {
+        io.to(broadcaster.getItemRoom(itemId)).emit("presence_updated", {
+          itemId,
+          user: entry,
+        });
+      });
+      respond(ack, { status: value.status });
+    } catch (error) {
+      logger.error("Error setting presence status:", error);
+      respondError(socket, ack, ERROR_CODES.INTERNAL_ERROR, "Failed to set presence status");
     }
   });
 
   // Handle disconnection
   socket.on("disconnect", (reason) => {
+    typing.stopAllForSocket(socket.id).forEach(({ room, stopPayload }) => {
+      io.to(room).emit("user_stopped_typing", stopPayload);
+    });
+
+    presence.leaveAll(socket.id).forEach(({ itemId, entry }) => {
+      io.to(broadcaster.getItemRoom(itemId)).emit("presence_left", {
+        itemId,
+        user: entry,
+      });
+    });
+
     logger.info(`Client disconnected: ${socket.id}`, {
       userId: socket.userId,
       reason,
@@ -752,33 +1483,168 @@ io.on("connection", (socket) => {
   });
 });
 
+// Tell the sender which comment their clientMessageId became, so an
+// optimistic copy can be reconciled with it
+function confirmClientMessage(socket, comment, duplicate) {
+  if (!comment.clientMessageId) {
+    return;
+  }
+  socket.emit("comment_confirmed", {
+    clientMessageId: comment.clientMessageId,
+    commentId: comment.id,
+    annotationId: comment.annotationId,
+    duplicate,
+  });
+}
+
+// What add_comment answers a retry with: the comment_added payload of the
+// original, without broadcasting it again
+async function duplicateCommentPayload(comment) {
+  const parentComment = comment.parentId
+    ? await commentManager.getComment(comment.parentId)
+    : null;
+  return {
+    annotationId: comment.annotationId,
+    comment: commentManager.formatCommentForFrontend(comment),
+    thread: await commentManager.getCommentThread(comment.annotationId),
+    parentComment: parentComment && commentManager.formatCommentForFrontend(parentComment),
+  };
+}
+
+// Error code for a comment write the manager refused: the comment is gone,
+// or the user isn't allowed to change it
+// options.deletedIsMissing reports deleted comments as NOT_FOUND
+async function missingOrForbidden(commentId, options = {}) {
+  const comment = await commentManager.getComment(commentId);
+  return comment && !(options.deletedIsMissing && comment.isDeleted)
+    ? ERROR_CODES.FORBIDDEN
+    : ERROR_CODES.NOT_FOUND;
+}
+
+// Join a socket to an item room and announce the user if they weren't
+// already there. Service connections join without showing up in presence.
+async function joinItem(socket, itemId) {
+  await socket.join(broadcaster.getItemRoom(itemId));
+  if (socket.service) {
+    return;
+  }
+
+  const entry = presence.join(itemId, socket);
+  if (entry) {
+    socket.to(broadcaster.getItemRoom(itemId)).emit("presence_joined", {
+      itemId,
+      user: entry,
+    });
+  }
+}
+
+// Where a typing indicator is shown: an annotation thread (or a new thread
+// being written, without annotationId) on an item, or a legacy thread
+function getTypingScope(value) {
+  if (value.itemId) {
+    const annotationId = value.annotationId || null;
+    return {
+      room: broadcaster.getItemRoom(value.itemId),
+      key: `item:${value.itemId}:${annotationId || "new"}`,
+      target: { itemId: value.itemId, annotationId },
+    };
+  }
+
+  const room = broadcaster.getThreadRoom(value.threadType, value.threadId);
+  return {
+    room,
+    key: room,
+    target: { threadId: value.threadId, threadType: value.threadType },
+  };
+}
+
+// Resolve who a socket event acts as. Payload `user` objects are only honored
+// for service connections holding the impersonate permission; everyone else
+// acts as their authenticated socket identity.
+function getActingUser(socket, payloadUser) {
+  if (payloadUser && auth.canImpersonate(socket)) {
+    const userId =
+      payloadUser.userId || payloadUser.id || payloadUser.userSnippylyId;
+    if (userId) {
+      logger.info(`Service ${socket.service} acting as user ${userId}`);
+      return { userId, userInfo: { ...payloadUser, id: userId } };
+    }
+    logger.warn(`Impersonation payload has no user id`, {
+      service: socket.service,
+    });
+  } else if (payloadUser) {
+    logger.debug(`Ignoring payload user on socket ${socket.id}`, {
+      userId: socket.userId,
+    });
+  }
+
+  return { userId: socket.userId, userInfo: socket.userInfo };
+}
+
+// Notify users @mentioned in a new comment and tell the author which
+// handles did not match a known user
+async function notifyMentions(socket, comment) {
+  await notificationManager.createMentionNotifications(comment, comment.userId);
+
+  const { unresolved } = commentManager.resolveMentions(comment.content);
+  if (unresolved.length > 0) {
+    socket.emit("mentions_unresolved", {
+      commentId: comment.id,
+      handles: unresolved,
+    });
+  }
+}
+
 // Validation schemas
+// Cursor pagination (see utils/pagination.js)
+const pageLimit = Joi.number().integer().min(1).max(100);
+const pageCursor = Joi.string().custom(validateCursor, "pagination cursor");
+
+// Legacy thread types, plus "item" for reading and writing items through the
+// legacy events
+const THREAD_TYPES = ["item", ...CommentManager.LEGACY_THREAD_TYPES];
+
+// Client-generated id that makes retried creates idempotent
+const clientMessageIdValue = Joi.string().max(128);
+
 const joinThreadSchema = Joi.object({
   threadId: Joi.string().required(),
   threadType: Joi.string()
-    .valid("post", "article", "discussion", "task")
+    .valid(...THREAD_TYPES)
+    .required(),
+  limit: pageLimit.optional(),
+});
+
+const getThreadCommentsSchema = Joi.object({
+  threadId: Joi.string().required(),
+  threadType: Joi.string()
+    .valid(...THREAD_TYPES)
     .required(),
+  limit: pageLimit.optional(),
+  cursor: pageCursor.optional(),
 });
 
 const leaveThreadSchema = Joi.object({
   threadId: Joi.string().required(),
   threadType: Joi.string()
-    .valid("post", "article", "discussion", "task")
+    .valid(...THREAD_TYPES)
     .required(),
 });
 
 const newCommentSchema = Joi.object({
   threadId: Joi.string().required(),
   threadType: Joi.string()
-    .valid("post", "article", "discussion", "task")
+    .valid(...THREAD_TYPES)
     .required(),
   content: Joi.string().min(1).max(2000).required(),
   parentId: Joi.string().optional(),
+  clientMessageId: clientMessageIdValue.optional(),
 });
 
 const updateCommentSchema = Joi.object({
   commentId: Joi.string().required(),
   content: Joi.string().min(1).max(2000).required(),
+  expectedVersion: Joi.number().integer().min(1).optional(),
   user: Joi.object().optional()
 });
 
@@ -787,20 +1653,96 @@ const deleteCommentSchema = Joi.object({
   user: Joi.object().optional()
 });
 
+const restoreCommentSchema = Joi.object({
+  commentId: Joi.string().required(),
+  user: Joi.object().optional(),
+});
+
+const moderateCommentSchema = Joi.object({
+  commentId: Joi.string().required(),
+  action: Joi.string().valid("hide", "restore", "delete").required(),
+  reason: Joi.string().max(500).optional(),
+});
+
+const threadLockSchema = Joi.object({
+  annotationId: Joi.string().required(),
+});
+
+const commentHistorySchema = Joi.object({
+  commentId: Joi.string().required(),
+});
+
+const revertCommentSchema = Joi.object({
+  commentId: Joi.string().required(),
+  revision: Joi.number().integer().min(1).required(),
+});
+
+const markThreadReadSchema = Joi.object({
+  annotationId: Joi.string().required(),
+  commentId: Joi.string().optional(),
+});
+
+const threadAssignmentSchema = Joi.object({
+  annotationId: Joi.string().required(),
+  assigneeId: Joi.string().required(),
+  user: Joi.object().optional(),
+});
+
 const ackNotificationSchema = Joi.object({
   notificationId: Joi.string().required(),
 });
 
+// Either an item (optionally an annotation thread on it) or a legacy thread
 const typingSchema = Joi.object({
-  threadId: Joi.string().required(),
-  threadType: Joi.string()
-    .valid("post", "article", "discussion", "task")
-    .required(),
-});
+  itemId: Joi.string(),
+  annotationId: Joi.string(),
+  threadId: Joi.string(),
+  threadType: Joi.string().valid(...THREAD_TYPES),
+})
+  .xor("itemId", "threadId")
+  .with("threadId", "threadType")
+  .with("annotationId", "itemId");
 
 // New validation schemas for your required events
+const threadStatus = Joi.string().valid(...CommentManager.THREAD_STATUSES);
+const threadStatusFilter = Joi.alternatives().try(
+  threadStatus,
+  Joi.array().items(threadStatus).min(1)
+);
+
 const getCommentThreadsSchema = Joi.object({
   itemId: Joi.string().required(),
+  status: threadStatusFilter.optional(),
+  limit: pageLimit.optional(),
+  cursor: pageCursor.optional(),
+  user: Joi.object().optional(),
+});
+
+const getThreadPageSchema = Joi.object({
+  annotationId: Joi.string().required(),
+  limit: pageLimit.optional(),
+  cursor: pageCursor.optional(),
+  user: Joi.object().optional(),
+});
+
+const itemPresenceSchema = Joi.object({
+  itemId: Joi.string().required(),
+}).required();
+
+const presenceStatusSchema = Joi.object({
+  status: Joi.string()
+    .valid(...PresenceTracker.PRESENCE_STATUSES)
+    .required(),
+}).required();
+
+const syncItemSchema = Joi.object({
+  itemId: Joi.string().required(),
+  lastSeq: Joi.number().integer().min(0).required(),
+  epoch: Joi.string().optional(),
+});
+
+const assignedThreadsSchema = Joi.object({
+  status: threadStatusFilter.optional(),
   user: Joi.object().optional(),
 });
 
@@ -816,32 +1758,48 @@ const addCommentSchema = Joi.object({
   parentCommentId: Joi.string().optional(),
   parentAnnotationId: Joi.string().optional(),
   threadId: Joi.string().optional(), // Allow threadId from frontend
+  clientMessageId: clientMessageIdValue.optional(),
 }).or("itemId", "annotationId"); // Require either itemId OR annotationId
 
 const updateCommentStatusSchema = Joi.object({
   annotationId: Joi.string().required(),
-  status: Joi.string().required(),
+  status: threadStatus.required(),
+  expectedVersion: Joi.number().integer().min(0).optional(),
   user: Joi.object().optional(),
 });
 
+const reactionValue = Joi.alternatives().try(
+  Joi.string(), // Allow simple string like "👍"
+  Joi.object({  // Allow object like { emoji: "❤️", name: "heart" }
+    emoji: Joi.string().required(),
+    name: Joi.string().required()
+  })
+);
+
+// annotationId is omitted for comments in legacy post/article threads
 const addReactionSchema = Joi.object({
-  annotationId: Joi.string().required(),
+  annotationId: Joi.string().optional(),
   commentId: Joi.string().required(),
-  reaction: Joi.alternatives().try(
-    Joi.string(), // Allow simple string like "👍"
-    Joi.object({  // Allow object like { emoji: "❤️", name: "heart" }
-      emoji: Joi.string().required(),
-      name: Joi.string().required()
-    })
-  ).required(),
+  reaction: reactionValue.required(),
   user: Joi.object().optional(),
 });
 
+const removeReactionSchema = addReactionSchema;
+
+const getReactionsSchema = Joi.object({
+  annotationId: Joi.string().optional(),
+  commentId: Joi.string().required(),
+});
+
 // Validation functions
 function validateJoinThread(data) {
   return joinThreadSchema.validate(data);
 }
 
+function validateGetThreadComments(data) {
+  return getThreadCommentsSchema.validate(data);
+}
+
 function validateLeaveThread(data) {
   return leaveThreadSchema.validate(data);
 }
@@ -858,6 +1816,38 @@ function validateDeleteComment(data) {
   return deleteCommentSchema.validate(data);
 }
 
+function validateRestoreComment(data) {
+  return restoreCommentSchema.validate(data);
+}
+
+function validateModerateComment(data) {
+  return moderateCommentSchema.validate(data);
+}
+
+function validateThreadLock(data) {
+  return threadLockSchema.validate(data);
+}
+
+function validateCommentHistory(data) {
+  return commentHistorySchema.validate(data);
+}
+
+function validateRevertComment(data) {
+  return revertCommentSchema.validate(data);
+}
+
+function validateMarkThreadRead(data) {
+  return markThreadReadSchema.validate(data);
+}
+
+function validateThreadAssignment(data) {
+  return threadAssignmentSchema.validate(data);
+}
+
+function validateAssignedThreads(data) {
+  return assignedThreadsSchema.validate(data);
+}
+
 function validateAckNotification(data) {
   return ackNotificationSchema.validate(data);
 }
@@ -871,6 +1861,22 @@ function validateGetCommentThreads(data) {
   return getCommentThreadsSchema.validate(data);
 }
 
+function validateGetThreadPage(data) {
+  return getThreadPageSchema.validate(data);
+}
+
+function validateItemPresence(data) {
+  return itemPresenceSchema.validate(data);
+}
+
+function validatePresenceStatus(data) {
+  return presenceStatusSchema.validate(data);
+}
+
+function validateSyncItem(data) {
+  return syncItemSchema.validate(data);
+}
+
 function validateAddComment(data) {
   return addCommentSchema.validate(data);
 }
@@ -883,6 +1889,14 @@ function validateAddReaction(data) {
   return addReactionSchema.validate(data);
 }
 
+function validateRemoveReaction(data) {
+  return removeReactionSchema.validate(data);
+}
+
+function validateGetReactions(data) {
+  return getReactionsSchema.validate(data);
+}
+
 // Error handling
 process.on("uncaughtException", (error) => {
   logger.error("Uncaught Exception:", error);
@@ -897,15 +1911,39 @@ process.on("unhandledRejection", (reason, promise) => {
 // Graceful shutdown
 process.on("SIGTERM", () => {
   logger.info("SIGTERM received, shutting down gracefully...");
-  server.close(() => {
+  server.close(async () => {
+    if (journal) {
+      await journal.close();
+    }
+    await Promise.all([commentManager.close(), notificationManager.close()]);
     logger.info("Server closed");
     process.exit(0);
   });
 });
 
+async function start() {
+  await Promise.all([commentManager.init(), notificationManager.init()]);
+
+  // Rebuild state from the last snapshot plus the journal tail
+  if (journal) {
+    await journal.init();
+    await journal.replay({
+      comments: commentManager,
+      notifications: notificationManager,
+    });
+  }
+}
+
 const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  logger.info(`WebSocket server is running on port ${PORT}`);
-});
+start()
+  .then(() => {
+    server.listen(PORT, () => {
+      logger.info(`WebSocket server is running on port ${PORT}`);
+    });
+  })
+  .catch((error) => {
+    logger.error("Failed to initialize storage:", error);
+    process.exit(1);
+  });
 
 module.exports = { app, server, io };
@@ -0,0 +1,260 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// Emits comment changes to the Socket.IO rooms that clients join, so the
+// socket handlers and the HTTP API broadcast identical payloads.
+//
+// Every comment belongs to an item and to a legacy thread (see
+// CommentManager.toItemId), so comment events go to both the item room and
+// the legacy thread room. Where the two APIs' payloads differ (comment_added)
+// each room gets its own shape.
+//
+// Every broadcast to an item room is stamped with a per-item `seq` and kept in
+// a bounded per-item history, so reconnecting clients can catch up on what
+// they missed (see getMissedEvents). History holds the payloads as JSON, so a
+// replay shows what was sent rather than the comment's current state.
+//
+// Sequences live in memory. Items nobody has touched for historyIdleMs (and
+// that no local socket is viewing) are dropped; each item's `epoch` is new
+// whenever its sequence starts over, after a restart or an eviction, so
+// clients know to reload instead.
+class CommentBroadcaster {
+  constructor(io, commentManager, options = {}) {
+    this.io = io;
+    this.commentManager = commentManager;
+    this.historyLimit = options.historyLimit || 200;
+    this.historyIdleMs = options.historyIdleMs || 30 * 60 * 1000; // 30 minutes
+    this.items = new Map(); // itemId -> { epoch, seq, history: [{ seq, event, json, at }], touchedAt }
+
+    this.evictTimer = setInterval(() => this.evictIdleItems(), this.historyIdleMs);
+    this.evictTimer.unref();
+  }
+
+  getItemRoom(itemId) {
+    return `item:${itemId}`;
+  }
+
+  // Room joined through join_thread. Prefixed so the legacy view of an item
+  // ({ threadType: 'item' }) doesn't share the item room's payloads.
+  getThreadRoom(threadType, threadId) {
+    return `thread:${threadType}:${threadId}`;
+  }
+
+  getCommentRoom(comment) {
+    return this.getThreadRoom(comment.threadType, comment.threadId);
+  }
+
+  // Sequence state for an item, started on first use
+  getItemState(itemId) {
+    let state = this.items.get(itemId);
+    if (!state) {
+      state = { epoch: uuidv4(), seq: 0, history: [], touchedAt: 0 };
+      this.items.set(itemId, state);
+    }
+    state.touchedAt = Date.now();
+    return state;
+  }
+
+  // Returns the payload as sent, with its seq
+  emitToItem(itemId, event, payload) {
+    const state = this.getItemState(itemId);
+    const seq = ++state.seq;
+
+    const stamped = { ...payload, seq };
+    state.history.push({ seq, event, json: JSON.stringify(stamped), at: new Date().toISOString() });
+    if (state.history.length > this.historyLimit) {
+      state.history.shift();
+    }
+
+    this.io.to(this.getItemRoom(itemId)).emit(event, stamped);
+    return stamped;
+  }
+
+  // Send to the comment's item room (sequenced) and its legacy thread room
+  emitForComment(comment, event, payload) {
+    this.io.to(this.getCommentRoom(comment)).emit(event, payload);
+    return this.emitToItem(comment.itemId, event, payload);
+  }
+
+  // The baseline a client syncs from: { seq, epoch }
+  getSyncBaseline(itemId) {
+    const { seq, epoch } = this.getItemState(itemId);
+    return { seq, epoch };
+  }
+
+  // Drop the sequence and history of items that have been idle for
+  // historyIdleMs, unless a socket on this server is still in the item room
+  evictIdleItems(now = Date.now()) {
+    const rooms = this.io.sockets.adapter.rooms;
+    for (const [itemId, state] of this.items) {
+      if (now - state.touchedAt < this.historyIdleMs) continue;
+      if (rooms.get(this.getItemRoom(itemId))?.size > 0) continue;
+      this.items.delete(itemId);
+    }
+  }
+
+  // Events broadcast to an item after lastSeq. reload is true when they can't
+  // be replayed: the client's epoch is from before a restart or eviction, or
+  // the gap is older than the history kept.
+  getMissedEvents(itemId, lastSeq, epoch) {
+    const { seq, history, epoch: currentEpoch } = this.getItemState(itemId);
+    const base = { itemId, epoch: currentEpoch, seq };
+
+    if ((epoch && epoch !== currentEpoch) || lastSeq > seq) {
+      return { ...base, reload: true, events: [] };
+    }
+    if (lastSeq === seq) {
+      return { ...base, reload: false, events: [] };
+    }
+    if (history.length === 0 || history[0].seq > lastSeq + 1) {
+      return { ...base, reload: true, events: [] };
+    }
+
+    return {
+      ...base,
+      reload: false,
+      events: history
+        .filter(entry => entry.seq > lastSeq)
+        .map(({ seq, event, json }) => ({ seq, event, payload: JSON.parse(json) }))
+    };
+  }
+
+  // Broadcast a new comment: item rooms get it together with its thread (and
+  // the thread as a partial comment_threads_updated), legacy thread rooms get
+  // (comment, parentComment)
+  async commentAdded(comment) {
+    const parentComment = comment.parentId
+      ? await this.commentManager.getComment(comment.parentId)
+      : null;
+    const thread = await this.commentManager.getCommentThread(comment.annotationId);
+
+    const formattedComment = this.commentManager.formatCommentForFrontend(comment);
+    const formattedParent = parentComment && this.commentManager.formatCommentForFrontend(parentComment);
+
+    this.io.to(this.getCommentRoom(comment)).emit('comment_added', formattedComment, formattedParent);
+
+    const broadcastData = this.emitToItem(comment.itemId, 'comment_added', {
+      annotationId: comment.annotationId,
+      comment: formattedComment,
+      thread,
+      parentComment: formattedParent,
+    });
+    this.emitThreads(comment.itemId, thread);
+
+    logger.info(`Broadcast comment_added to ${this.getItemRoom(comment.itemId)}`, {
+      annotationId: comment.annotationId,
+      commentId: comment.id
+    });
+
+    return { broadcastData, thread, parentComment };
+  }
+
+  commentUpdated(comment) {
+    this.emitForComment(
+      comment,
+      'comment_updated',
+      this.commentManager.formatCommentForFrontend(comment)
+    );
+  }
+
+  commentDeleted(comment) {
+    this.emitForComment(
+      comment,
+      'comment_deleted',
+      this.commentManager.formatCommentForFrontend(comment)
+    );
+  }
+
+  // A deleted comment came back, along with the replies deleted with it
+  commentRestored(restored) {
+    const [comment] = restored;
+    this.emitForComment(comment, 'comment_restored', {
+      commentId: comment.id,
+      annotationId: comment.annotationId,
+      comments: restored.map(c => this.commentManager.formatCommentForFrontend(c))
+    });
+  }
+
+  // Moderator hid, restored, edited or deleted a comment
+  commentModerated(comment, moderation) {
+    this.emitForComment(comment, 'comment_moderated', {
+      commentId: comment.id,
+      annotationId: comment.annotationId,
+      action: moderation.action,
+      moderation,
+      comment: this.commentManager.formatCommentForFrontend(comment)
+    });
+  }
+
+  // Send a changed thread to everyone viewing its item
+  async threadUpdated({ annotationId, itemId }) {
+    const thread = await this.commentManager.getCommentThread(annotationId);
+    this.emitThreads(itemId, thread);
+    return thread;
+  }
+
+  // comment_threads_updated with only the changed thread. partial tells
+  // clients to merge it into the list they have rather than replace the list.
+  emitThreads(itemId, thread) {
+    return this.emitToItem(itemId, 'comment_threads_updated', { threads: [thread], partial: true });
+  }
+
+  // Read markers only concern the reader, so they go to all of their sockets
+  threadRead(userId, readState) {
+    this.io.to(`user:${userId}`).emit('thread_read', readState);
+  }
+
+  threadLockUpdated(thread) {
+    this.emitToItem(thread.itemId, 'thread_lock_updated', {
+      annotationId: thread.annotationId,
+      version: thread.version || 0,
+      locked: thread.locked,
+      lockedBy: thread.lockedBy,
+      lockedAt: thread.lockedAt
+    });
+  }
+
+  commentStatusUpdated(thread) {
+    this.emitToItem(thread.itemId, 'comment_status_updated', {
+      annotationId: thread.annotationId,
+      version: thread.version,
+      status: thread.status,
+      resolvedBy: thread.resolvedBy,
+      resolvedAt: thread.resolvedAt,
+      updatedBy: thread.statusUpdatedBy,
+      updatedAt: thread.statusUpdatedAt
+    });
+  }
+
+  // Broadcast a reaction change with the comment's full reaction list, to the
+  // item room or the legacy thread room the comment belongs to
+  async reactionAdded(annotationId, commentId, reactionResult) {
+    return this.reactionChanged('reaction_added', annotationId, commentId, reactionResult);
+  }
+
+  async reactionRemoved(annotationId, commentId, reactionResult) {
+    return this.reactionChanged('reaction_removed', annotationId, commentId, reactionResult);
+  }
+
+  async reactionChanged(event, annotationId, commentId, reactionResult) {
+    const comment = await this.commentManager.getComment(commentId);
+    return this.emitForComment(comment, event, this.formatReaction(annotationId, comment, reactionResult));
+  }
+
+  // The reaction payload without broadcasting it, for changes that were no-ops
+  async reactionPayload(annotationId, commentId, reactionResult) {
+    const comment = await this.commentManager.getComment(commentId);
+    return this.formatReaction(annotationId, comment, reactionResult);
+  }
+
+  formatReaction(annotationId, comment, reactionResult) {
+    return {
+      annotationId: annotationId || comment.annotationId || null,
+      commentId: comment.id,
+      reaction: reactionResult,
+      comment: this.commentManager.formatCommentForFrontend(comment)
+    };
+  }
+}
+
+module.exports = CommentBroadcaster;
@@ -1,23 +1,115 @@
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const { createCommentStore } = require('./storage');
+const { serializeComment, deserializeComment } = require('./storage/serialization');
+const UserDirectory = require('./UserDirectory');
+const { sortForPaging, paginate } = require('../utils/pagination');
+
+const MENTION_PATTERN = /(^|[^\w@])@([\w][\w.-]*)/g;
+
+// Annotation thread status workflow: status -> statuses it may move to
+const STATUS_TRANSITIONS = {
+  open: ['resolved', 'archived'],
+  resolved: ['reopened', 'archived'],
+  reopened: ['resolved', 'archived'],
+  archived: ['reopened']
+};
+const THREAD_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+const REACTION_MODES = ['single', 'multiple'];
+
+// Legacy threads and items share one model: the legacy thread
+// { threadType: 'post', threadId: 'p1' } is the item 'post:p1', each top-level
+// comment in it starts an annotation thread and replies join their parent's.
+// Item comments are stored with threadType 'item' and threadId = itemId, so
+// both APIs address every comment.
+const LEGACY_THREAD_TYPES = ['post', 'article', 'discussion', 'task'];
+
+function toItemId(threadType, threadId) {
+  return threadType === 'item' ? threadId : `${threadType}:${threadId}`;
+}
+
+// Returns { threadType, threadId } for an item id
+function fromItemId(itemId) {
+  const separator = itemId.indexOf(':');
+  const threadType = itemId.slice(0, separator);
+  if (separator > 0 && LEGACY_THREAD_TYPES.includes(threadType)) {
+    return { threadType, threadId: itemId.slice(separator + 1) };
+  }
+  return { threadType: 'item', threadId: itemId };
+}
+
+function itemThreadKey(itemId) {
+  const { threadType, threadId } = fromItemId(itemId);
+  return `${threadType}:${threadId}`;
+}
+
+// Page size when the caller doesn't pass a limit
+const DEFAULT_PAGE_SIZE = 50;
+
+// Pagination keys: comments oldest first, threads most recently active first
+const commentKey = comment => ({ key: comment.createdAt, id: comment.id });
+const threadKey = thread => ({ key: thread.lastActivity, id: thread.annotationId });
 
 class CommentManager {
-  constructor() {
-    // In-memory storage for demo purposes
-    // In production, you'd use a real database
-    this.comments = new Map();
-    this.threadComments = new Map(); // threadId -> Set of commentIds
+  constructor(options = {}) {
+    // Storage adapter (memory or file), selected via COMMENT_STORE
+    this.store = options.store || createCommentStore();
+    // Optional EventJournal; every mutation is appended before it is acknowledged
+    this.journal = options.journal || null;
+    // Known users, for resolving @mentions
+    this.userDirectory = options.userDirectory || new UserDirectory();
+    // How long deleted comments can be restored before they are purged
+    this.deleteGraceMs = options.deleteGraceMs ?? 24 * 60 * 60 * 1000; // 24 hours
+    this.purgeIntervalMs = options.purgeIntervalMs || 5 * 60 * 1000; // 5 minutes
+    this.purgeTimer = null;
+    // Reaction policy: 'single' keeps one reaction per user per comment,
+    // 'multiple' allows any number. A null allowlist accepts any emoji.
+    this.reactionMode = REACTION_MODES.includes(options.reactionMode) ? options.reactionMode : 'single';
+    this.reactionAllowlist = options.reactionAllowlist?.length ? options.reactionAllowlist : null;
+    // Recent client message ids, so retried creates return the original
+    // comment: `${userId}|${clientMessageId}` -> { commentId (a promise), expiresAt }
+    this.clientMessageTtlMs = options.clientMessageTtlMs || 10 * 60 * 1000; // 10 minutes
+    this.clientMessages = new Map();
+  }
+
+  async init() {
+    await this.store.init();
+    await this.adoptLegacyComments();
+    await this.rememberStoredComments();
+
+    this.purgeTimer = setInterval(() => {
+      this.purgeDeletedComments().catch(error => {
+        logger.error('Error purging deleted comments:', error);
+      });
+    }, this.purgeIntervalMs);
+    this.purgeTimer.unref();
+  }
+
+  async close() {
+    clearInterval(this.purgeTimer);
+    await this.store.close();
   }
 
+  // Legacy thread comment. It is also an item comment (see toItemId): top-level
+  // comments start an annotation thread and replies join their parent's.
   async createComment(commentData) {
     const comment = {
       id: uuidv4(),
+      itemId: toItemId(commentData.threadType, commentData.threadId),
+      annotationId: null,
       threadId: commentData.threadId,
       threadType: commentData.threadType,
       content: commentData.content,
+      type: commentData.parentId ? 'reply' : 'comment',
       userId: commentData.userId,
       userInfo: commentData.userInfo,
+      clientMessageId: commentData.clientMessageId || null,
       parentId: commentData.parentId || null,
+      isReply: !!commentData.parentId,
+      status: 'open',
+      version: 1,
+      mentions: [],
       createdAt: new Date().toISOString(),
       updatedAt: null,
       isDeleted: false,
@@ -25,29 +117,27 @@ class CommentManager {
       replies: []
     };
 
-    // Store the comment
-    this.comments.set(comment.id, comment);
-
-    // Add to thread mapping
-    const threadKey = `${commentData.threadType}:${commentData.threadId}`;
-    if (!this.threadComments.has(threadKey)) {
-      this.threadComments.set(threadKey, new Set());
-    }
-    this.threadComments.get(threadKey).add(comment.id);
+    this.userDirectory.remember(comment.userId, comment.userInfo);
+    comment.mentions = this.resolveMentions(comment.content).mentions;
 
     // If this is a reply, add it to parent's replies
-    if (comment.parentId) {
-      const parentComment = this.comments.get(comment.parentId);
-      if (parentComment) {
-        parentComment.replies.push(comment.id);
-      }
-    }
+    const parentComment = comment.parentId ? await this.linkReply(comment) : null;
+    comment.annotationId = parentComment?.annotationId || uuidv4();
+    comment.status = parentComment?.status || 'open';
+
+    // Store the comment (the store maintains the thread mapping)
+    await this.commit('comment_created', [comment, parentComment], comment.userId);
 
     return comment;
   }
 
-    async updateComment(commentId, newContent, userId) {
-        const comment = this.comments.get(commentId);
+    // options.moderator ({ id, name }) lets a moderator edit someone else's comment.
+    // With options.expectedVersion the edit only applies if nobody changed the
+    // comment since the caller read it.
+    // Returns { comment }, { conflict } with the current comment if the version
+    // doesn't match, or null if the comment doesn't exist or isn't theirs.
+    async updateComment(commentId, newContent, userId, options = {}) {
+        const comment = await this.store.getComment(commentId);
 
 
     if (!comment) {
@@ -55,7 +145,7 @@ class CommentManager {
       return null;
     }
 
-    if (comment.userId !== userId) {
+    if (comment.userId !== userId && !options.moderator) {
       logger.warn(`Unauthorized comment update attempt`, {
         commentId,
         userId,
@@ -64,23 +154,67 @@ class CommentManager {
       return null;
     }
 
+    if (!this.matchesVersion(this.getCommentVersion(comment), options.expectedVersion)) {
+      logger.warn(`Version conflict updating comment ${commentId}`, {
+        expected: options.expectedVersion,
+        current: this.getCommentVersion(comment),
+        userId
+      });
+      return { conflict: comment };
+    }
+
+    const editor = options.moderator || {
+      id: userId,
+      name: comment.userInfo?.name || comment.name || userId
+    };
+    this.recordRevision(comment, editor);
+
     comment.content = newContent;
+    comment.mentions = this.resolveMentions(newContent).mentions;
     comment.updatedAt = new Date().toISOString();
+    this.bumpCommentVersion(comment);
+    if (comment.userId !== userId) {
+      this.recordModeration(comment, 'edit', options.moderator, options.reason);
+    }
+    await this.commit('comment_updated', [comment], userId);
 
     logger.info('test', { comment })
 
     logger.info(`Comment updated: ${commentId}`, { userId });
-    return comment;
+    return { comment };
   }
 
-  async deleteComment(commentId, userId) {
-    const comment = this.comments.get(commentId);
+  // Comments stored before versioning count as version 1
+  getCommentVersion(comment) {
+    return comment.version || 1;
+  }
+
+  // Content and visibility changes bump the version; reactions, replies and
+  // the thread status copied onto comments don't
+  bumpCommentVersion(comment) {
+    comment.version = this.getCommentVersion(comment) + 1;
+  }
+
+  bumpThreadVersion(thread) {
+    thread.version = (thread.version || 0) + 1;
+  }
+
+  // An omitted expectedVersion means the caller doesn't check
+  matchesVersion(current, expectedVersion) {
+    return expectedVersion === undefined || expectedVersion === null || expectedVersion === current;
+  }
+
+  // options.moderator ({ id, name }) lets a moderator delete someone else's
+  // comment. Deleting someone else's comment is recorded as moderation; with
+  // options.recordModeration a moderator's own delete is recorded too.
+  async deleteComment(commentId, userId, options = {}) {
+    const comment = await this.store.getComment(commentId);
     if (!comment) {
       logger.warn(`Comment not found: ${commentId}`);
       return null;
     }
 
-    if (comment.userId !== userId) {
+    if (comment.userId !== userId && !options.moderator) {
       logger.warn(`Unauthorized comment deletion attempt`, {
         commentId,
         userId,
@@ -89,47 +223,495 @@ class CommentManager {
       return null;
     }
 
-    // Soft delete
-    comment.isDeleted = true;
-    comment.content = '[Comment deleted]';
-    comment.updatedAt = new Date().toISOString();
+    // A second delete would overwrite the content kept for restoring
+    if (comment.isDeleted) {
+      logger.warn(`Comment already deleted: ${commentId}`);
+      return null;
+    }
+
+    // Soft delete; the original content is kept until the grace period ends
+    const now = Date.now();
+    const deletion = {
+      deletedBy: userId,
+      deletedAt: new Date(now).toISOString(),
+      purgeAt: new Date(now + this.deleteGraceMs).toISOString()
+    };
+    this.markDeleted(comment, deletion);
+    if (comment.userId !== userId || options.recordModeration) {
+      this.recordModeration(comment, 'delete', options.moderator, options.reason);
+    }
+    const deletedComments = [comment];
 
     logger.info('replies', { comment })
 
     if(comment.replies.length > 0) {
         for(let reply of comment.replies) {
-            const replyToDelete = this.comments.get(reply)
+            const replyToDelete = await this.store.getComment(reply)
+            // Replies deleted on their own keep their own deletion record
+            if (!replyToDelete || replyToDelete.isDeleted) continue;
 
-            replyToDelete.isDeleted = true
-            replyToDelete.content = '[Comment deleted]';
-            replyToDelete.updatedAt = new Date().toISOString();
+            this.markDeleted(replyToDelete, { ...deletion, cascadedFrom: comment.id });
+            deletedComments.push(replyToDelete);
 
-            logger.info(`Comment deleted: ${replyToDelete}`, { replyToDelete });
+            logger.info(`Comment deleted: ${replyToDelete.id}`, { replyToDelete });
 
         }
 
     }
 
+    await this.commit('comment_deleted', deletedComments, userId);
+
     logger.info(`Comment deleted: ${commentId}`, { userId });
-    return this.comments;
+    return comment;
   }
 
-  async getCommentsForThread(threadId, threadType, limit = 50, offset = 0) {
-    const threadKey = `${threadType}:${threadId}`;
-    const commentIds = this.threadComments.get(threadKey);
+  markDeleted(comment, deletion) {
+    comment.deletion = { ...deletion, content: comment.content };
+    comment.isDeleted = true;
+    comment.content = '[Comment deleted]';
+    comment.updatedAt = deletion.deletedAt;
+    this.bumpCommentVersion(comment);
+  }
+
+  // Undo a delete within the grace period, bringing back the replies that were
+  // cascaded with it. Only whoever deleted the comment, or a moderator, may
+  // restore it. Restoring someone else's comment is recorded as moderation, as
+  // is a moderator's own restore with options.recordModeration. Returns the
+  // restored comments (the comment first) or null.
+  async restoreComment(commentId, userId, options = {}) {
+    const comment = await this.store.getComment(commentId);
+    if (!comment || !comment.isDeleted || !comment.deletion) {
+      logger.warn(`No restorable comment: ${commentId}`);
+      return null;
+    }
+
+    // Cascaded replies come back with the comment that was deleted
+    if (comment.deletion.cascadedFrom) {
+      logger.warn(`Comment ${commentId} was deleted with ${comment.deletion.cascadedFrom}; restore that instead`);
+      return null;
+    }
+
+    if (comment.deletion.deletedBy !== userId && !options.moderator) {
+      logger.warn(`Unauthorized comment restore attempt`, { commentId, userId });
+      return null;
+    }
+
+    if (new Date(comment.deletion.purgeAt) <= new Date()) {
+      logger.warn(`Grace period expired for comment ${commentId}`);
+      return null;
+    }
+
+    const restored = [comment];
+    for (const replyId of comment.replies) {
+      const reply = await this.store.getComment(replyId);
+      if (reply?.isDeleted && reply.deletion?.cascadedFrom === comment.id) {
+        restored.push(reply);
+      }
+    }
 
-    if (!commentIds) {
+    const now = new Date().toISOString();
+    restored.forEach(c => {
+      c.content = c.deletion.content;
+      c.isDeleted = false;
+      c.deletion = null;
+      c.updatedAt = now;
+      this.bumpCommentVersion(c);
+    });
+    if (comment.userId !== userId || options.recordModeration) {
+      this.recordModeration(comment, 'restore', options.moderator, options.reason);
+    }
+    await this.commit('comment_restored', restored, userId);
+
+    logger.info(`Comment restored: ${commentId}`, { userId, replies: restored.length - 1 });
+    return restored;
+  }
+
+  // Hard-delete comments whose grace period has ended
+  async purgeDeletedComments(now = new Date()) {
+    const expired = (await this.store.listComments())
+      .filter(c => c.isDeleted && c.deletion && new Date(c.deletion.purgeAt) <= now);
+    if (expired.length === 0) {
       return [];
     }
 
-    const comments = Array.from(commentIds)
-      .map(id => this.comments.get(id))
-      .filter(comment => comment && !comment.isDeleted)
-      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
-      .slice(offset, offset + limit);
+    const purgedIds = new Set(expired.map(c => c.id));
+
+    // Drop purged replies from parents that are staying around
+    const parents = [];
+    for (const comment of expired) {
+      const parent = comment.parentId && !purgedIds.has(comment.parentId)
+        ? await this.store.getComment(comment.parentId)
+        : null;
+      if (parent) {
+        parent.replies = parent.replies.filter(id => id !== comment.id);
+        if (!parents.includes(parent)) parents.push(parent);
+      }
+    }
+    if (parents.length > 0) {
+      await this.commit('comment_replies_purged', parents, 'system');
+    }
+
+    const remove = () => this.store.saveBatch({ deletedIds: Array.from(purgedIds) });
+    if (this.journal) {
+      await this.journal.append('comments', 'comments_purged', {
+        actorId: 'system',
+        purgedIds: Array.from(purgedIds)
+      }, remove);
+    } else {
+      await remove();
+    }
+
+    logger.info(`Purged ${purgedIds.size} deleted comments`);
+    return Array.from(purgedIds);
+  }
+
+  // Moderator actions on a single comment: hide, restore or delete. Restore
+  // un-hides a hidden comment or undeletes a deleted one.
+  // Returns { comment, moderation, restored? } or null if the comment doesn't exist.
+  async moderateComment(commentId, action, moderator, reason) {
+    if (action === 'delete') {
+      const comment = await this.deleteComment(commentId, moderator.id, {
+        moderator,
+        reason,
+        recordModeration: true
+      });
+      return comment
+        ? { comment, moderation: comment.moderation[comment.moderation.length - 1] }
+        : null;
+    }
+
+    const comment = await this.store.getComment(commentId);
+    if (action === 'restore' && comment?.isDeleted) {
+      const restored = await this.restoreComment(commentId, moderator.id, {
+        moderator,
+        reason,
+        recordModeration: true
+      });
+      if (!restored) return null;
+      const [restoredComment] = restored;
+      return {
+        comment: restoredComment,
+        moderation: restoredComment.moderation[restoredComment.moderation.length - 1],
+        restored
+      };
+    }
+
+    if (!comment || comment.isDeleted) {
+      logger.warn(`Comment not found for moderation: ${commentId}`);
+      return null;
+    }
+
+    comment.isHidden = action === 'hide';
+    comment.updatedAt = new Date().toISOString();
+    this.bumpCommentVersion(comment);
+    const moderation = this.recordModeration(comment, action, moderator, reason);
+    await this.commit(`comment_${action === 'hide' ? 'hidden' : 'restored'}`, [comment], moderator.id);
+
+    logger.info(`Comment ${commentId} ${action} by moderator ${moderator.id}`, { reason });
+    return { comment, moderation };
+  }
+
+  // Keep the content an edit is about to replace. Revision n holds what the
+  // comment said before its n-th edit.
+  recordRevision(comment, editor, extra = {}) {
+    const revision = {
+      revision: (comment.revisions?.length || 0) + 1,
+      content: comment.content,
+      editedBy: editor,
+      editedAt: new Date().toISOString(),
+      ...extra
+    };
+
+    comment.revisions = [...(comment.revisions || []), revision];
+    return revision;
+  }
+
+  // Hidden comments keep their history from everyone but the author, deleted
+  // ones from everyone but whoever deleted them. Moderators see both.
+  canViewHistory(comment, userId, moderator) {
+    if (moderator) return true;
+    if (comment.isDeleted) return comment.deletion?.deletedBy === userId;
+    if (comment.isHidden) return comment.userId === userId;
+    return true;
+  }
+
+  async getCommentHistory(commentId) {
+    const comment = await this.store.getComment(commentId);
+    if (!comment) {
+      return null;
+    }
+
+    return {
+      commentId,
+      annotationId: comment.annotationId,
+      content: comment.content,
+      updatedAt: comment.updatedAt,
+      revisions: comment.revisions || []
+    };
+  }
+
+  // Restore the content of an earlier revision. The revert is itself recorded
+  // as a revision so it can be undone the same way.
+  async revertComment(commentId, revisionNumber, admin) {
+    const comment = await this.store.getComment(commentId);
+    if (!comment || comment.isDeleted) {
+      logger.warn(`Comment not found for revert: ${commentId}`);
+      return null;
+    }
+
+    const target = (comment.revisions || []).find(r => r.revision === revisionNumber);
+    if (!target) {
+      logger.warn(`Revision ${revisionNumber} not found for comment ${commentId}`);
+      return null;
+    }
+
+    this.recordRevision(comment, admin, { revertedTo: revisionNumber });
+    comment.content = target.content;
+    comment.mentions = this.resolveMentions(target.content).mentions;
+    comment.updatedAt = new Date().toISOString();
+    this.bumpCommentVersion(comment);
+    await this.commit('comment_reverted', [comment], admin.id);
+
+    logger.info(`Comment ${commentId} reverted to revision ${revisionNumber} by ${admin.id}`);
+    return comment;
+  }
+
+  // Append a moderation record (who did what, when) to a comment
+  recordModeration(comment, action, moderator, reason) {
+    const moderation = {
+      action,
+      by: moderator,
+      at: new Date().toISOString(),
+      reason: reason || null
+    };
+
+    comment.moderation = [...(comment.moderation || []), moderation];
+    return moderation;
+  }
+
+  // Lock or unlock an annotation thread against new replies
+  async setThreadLock(annotationId, locked, moderator) {
+    const comments = await this.store.getCommentsByAnnotation(annotationId);
+    if (comments.length === 0) {
+      logger.warn(`Thread not found for lock: ${annotationId}`);
+      return null;
+    }
+
+    const thread = await this.getThreadRecord(annotationId, comments[0].itemId);
+    thread.locked = locked;
+    thread.lockedBy = locked ? moderator : null;
+    thread.lockedAt = locked ? new Date().toISOString() : null;
+    this.bumpThreadVersion(thread);
+
+    await this.commit(locked ? 'thread_locked' : 'thread_unlocked', [], moderator.id, [thread]);
+
+    logger.info(`Thread ${annotationId} ${locked ? 'locked' : 'unlocked'} by ${moderator.id}`);
+    return thread;
+  }
+
+  // Add an assignee to an annotation thread. Returns { thread, assignee }, with
+  // assignee null if the user was already assigned, or null if there is no
+  // such thread.
+  async assignThread(annotationId, assigneeId, assigner) {
+    const comments = await this.store.getCommentsByAnnotation(annotationId);
+    if (comments.length === 0) {
+      logger.warn(`Thread not found for assignment: ${annotationId}`);
+      return null;
+    }
+
+    const thread = await this.getThreadRecord(annotationId, comments[0].itemId);
+    const assignees = thread.assignees || [];
+    if (assignees.some(a => a.id === assigneeId)) {
+      return { thread, assignee: null };
+    }
+
+    const known = this.userDirectory.get(assigneeId);
+    const assignee = {
+      id: assigneeId,
+      name: known?.name || known?.username || assigneeId,
+      assignedBy: assigner,
+      assignedAt: new Date().toISOString()
+    };
+    thread.assignees = [...assignees, assignee];
+    this.bumpThreadVersion(thread);
+
+    await this.commit('thread_assigned', [], assigner.id, [thread]);
+
+    logger.info(`Thread ${annotationId} assigned to ${assigneeId} by ${assigner.id}`);
+    return { thread, assignee };
+  }
+
+  // Only whoever made the assignment, the assignee or a moderator may remove
+  // it. Returns { thread }, { forbidden: true }, or null if the user wasn't
+  // assigned.
+  async unassignThread(annotationId, assigneeId, actorId, options = {}) {
+    const thread = await this.store.getThread(annotationId);
+    const assignee = thread?.assignees?.find(a => a.id === assigneeId);
+    if (!assignee) {
+      logger.warn(`User ${assigneeId} is not assigned to thread ${annotationId}`);
+      return null;
+    }
+
+    if (!this.canUnassign(assignee, actorId, options.moderator)) {
+      logger.warn(`Unauthorized unassign attempt`, { annotationId, assigneeId, actorId });
+      return { forbidden: true };
+    }
+
+    thread.assignees = thread.assignees.filter(a => a.id !== assigneeId);
+    this.bumpThreadVersion(thread);
+    await this.commit('thread_unassigned', [], actorId, [thread]);
+
+    logger.info(`Thread ${annotationId} unassigned from ${assigneeId} by ${actorId}`);
+    return { thread };
+  }
+
+  canUnassign(assignee, userId, moderator) {
+    return Boolean(moderator) || assignee.id === userId || assignee.assignedBy?.id === userId;
+  }
+
+  // Threads assigned to a user across all items, most recently active first.
+  // options.status limits the result like getCommentThreads.
+  async getAssignedThreads(userId, options = {}) {
+    const statusFilter = options.status ? [].concat(options.status) : null;
+    const assigned = (await this.store.listThreads())
+      .filter(thread => thread.assignees?.some(a => a.id === userId));
+
+    const threads = [];
+    for (const record of assigned) {
+      const thread = await this.getCommentThread(record.annotationId, { user: { id: userId } });
+      if (thread.comments.length === 0) continue;
+      if (statusFilter && !statusFilter.includes(thread.status)) continue;
+
+      threads.push({
+        ...thread,
+        itemId: record.itemId,
+        lastActivity: Math.max(...thread.comments.map(c => new Date(c.updatedAt || c.createdAt).getTime()))
+      });
+    }
+
+    return sortForPaging(threads, threadKey, true);
+  }
+
+  async isThreadLocked(annotationId) {
+    const thread = await this.store.getThread(annotationId);
+    return !!thread?.locked;
+  }
+
+  // Thread-level metadata for an annotation, created on first use
+  async getThreadRecord(annotationId, itemId) {
+    return (await this.store.getThread(annotationId)) || {
+      annotationId,
+      itemId,
+      version: 0,
+      locked: false,
+      lockedBy: null,
+      lockedAt: null
+    };
+  }
+
+  // Thread metadata fields included in thread payloads. Threads without a
+  // recorded status fall back to the status stored on their comments.
+  // version counts status, lock and assignee changes.
+  async getThreadState(annotationId, commentStatus) {
+    const thread = await this.store.getThread(annotationId);
+    return {
+      version: thread?.version || 0,
+      status: this.normalizeStatus(thread?.status || commentStatus),
+      resolvedBy: thread?.resolvedBy || null,
+      resolvedAt: thread?.resolvedAt || null,
+      assignees: thread?.assignees || [],
+      locked: !!thread?.locked,
+      lockedBy: thread?.lockedBy || null,
+      lockedAt: thread?.lockedAt || null
+    };
+  }
+
+  // What clients see of a thread record: its ids and getThreadState. Records
+  // also hold every user's read marker (readBy), which stays on the server.
+  async getPublicThreadState(thread, commentStatus) {
+    return {
+      annotationId: thread.annotationId,
+      itemId: thread.itemId,
+      ...await this.getThreadState(thread.annotationId, commentStatus)
+    };
+  }
+
+  // A user's read position in a thread: comments by others created after
+  // lastReadAt are unread
+  async getReadState(annotationId, comments, userId) {
+    const thread = await this.store.getThread(annotationId);
+    const lastReadAt = thread?.readBy?.[userId]?.lastReadAt || null;
+    return {
+      lastReadAt,
+      unreadCount: comments.filter(c =>
+        c.userId !== userId && (!lastReadAt || c.createdAt > lastReadAt)
+      ).length
+    };
+  }
+
+  // Move a user's read marker up to a comment (default: the newest one).
+  // Markers never move backwards. Returns the read state, or null if the
+  // thread or comment doesn't exist.
+  async markThreadRead(annotationId, userId, commentId) {
+    const comments = (await this.store.getCommentsByAnnotation(annotationId))
+      .filter(comment => !comment.isDeleted);
+    if (comments.length === 0) {
+      logger.warn(`Thread not found for read marker: ${annotationId}`);
+      return null;
+    }
+
+    const target = commentId
+      ? comments.find(c => c.id === commentId)
+      : sortForPaging(comments, commentKey).pop();
+    if (!target) {
+      logger.warn(`Comment ${commentId} not found in thread ${annotationId}`);
+      return null;
+    }
+
+    const thread = await this.getThreadRecord(annotationId, comments[0].itemId);
+    const current = thread.readBy?.[userId];
+    if (!current || target.createdAt > current.lastReadAt) {
+      thread.readBy = {
+        ...thread.readBy,
+        [userId]: { lastReadAt: target.createdAt, commentId: target.id }
+      };
+      await this.commit('thread_read', [], userId, [thread]);
+    }
+
+    return {
+      annotationId,
+      itemId: thread.itemId,
+      commentId: thread.readBy[userId].commentId,
+      ...await this.getReadState(annotationId, comments, userId)
+    };
+  }
+
+  // Statuses from before the workflow existed count as open
+  normalizeStatus(status) {
+    return THREAD_STATUSES.includes(status) ? status : 'open';
+  }
+
+  canTransitionStatus(from, to) {
+    return STATUS_TRANSITIONS[this.normalizeStatus(from)].includes(to);
+  }
+
+  // Pages through top-level comments (options.limit, default 50, and
+  // options.cursor); each comes with all of its replies.
+  // Returns { comments, hasMore, nextCursor }.
+  async getCommentsForThread(threadId, threadType, options = {}) {
+    const key = `${threadType}:${threadId}`;
+    const comments = sortForPaging(
+      (await this.store.getCommentsByThreadKey(key)).filter(comment => !comment.isDeleted),
+      commentKey
+    );
 
     // Build threaded structure
-    const topLevelComments = comments.filter(c => !c.parentId);
+    const page = paginate(comments.filter(c => !c.parentId), {
+      limit: options.limit || DEFAULT_PAGE_SIZE,
+      cursor: options.cursor,
+      keyOf: commentKey
+    });
+    const topLevelComments = page.items;
     const repliesMap = new Map();
 
     // Group replies by parent
@@ -144,7 +726,7 @@ class CommentManager {
     const buildCommentTree = (comment) => {
       const replies = repliesMap.get(comment.id) || [];
       return {
-        ...comment,
+        ...this.formatCommentForFrontend(comment),
         replies: replies.map(buildCommentTree)
       };
     };
@@ -152,72 +734,106 @@ class CommentManager {
     const threadedComments = topLevelComments.map(buildCommentTree);
 
     logger.info(`Retrieved ${threadedComments.length} comments for thread ${threadId}`);
-    return threadedComments;
+    return { comments: threadedComments, hasMore: page.hasMore, nextCursor: page.nextCursor };
   }
 
   async getComment(commentId) {
-    return this.comments.get(commentId);
+    return this.store.getComment(commentId);
   }
 
-  async addReaction(commentId, userId, reactionType) {
-    const comment = this.comments.get(commentId);
-    if (!comment) return null;
+  // Run create() unless the user already sent this clientMessageId within
+  // clientMessageTtlMs; a retry gets the original comment instead. Concurrent
+  // retries wait for the first attempt. Returns { comment, duplicate }.
+  async createOnce(userId, clientMessageId, create) {
+    if (!clientMessageId) {
+      return { comment: await create(), duplicate: false };
+    }
 
-    if (!comment.reactions[reactionType]) {
-      comment.reactions[reactionType] = new Map();
+    // Check and claim the id without awaiting in between, so that of two
+    // concurrent attempts only one creates
+    this.pruneClientMessages();
+    const key = `${userId}|${clientMessageId}`;
+    if (this.clientMessages.has(key)) {
+      const original = await this.findClientMessage(userId, clientMessageId);
+      if (original) {
+        return { comment: original, duplicate: true };
+      }
     }
 
-    const userInfo = {
-      id: userId,
-      username: 'Legacy User',
-      displayName: 'Legacy User'
+    const created = create();
+    const entry = {
+      commentId: created.then(comment => comment.id, () => null),
+      expiresAt: Date.now() + this.clientMessageTtlMs
     };
-
-    // Remove user from all other reactions for this comment
-    Object.keys(comment.reactions).forEach(type => {
-      if (type !== reactionType) {
-        if (comment.reactions[type] instanceof Map) {
-          comment.reactions[type].delete(userId);
-        } else if (comment.reactions[type] instanceof Set) {
-          comment.reactions[type].delete(userId);
-        }
+    this.clientMessages.delete(key);
+    this.clientMessages.set(key, entry);
+
+    try {
+      return { comment: await created, duplicate: false };
+    } catch (error) {
+      // Let a retry try again
+      if (this.clientMessages.get(key) === entry) {
+        this.clientMessages.delete(key);
       }
-    });
+      throw error;
+    }
+  }
 
-    // Toggle the reaction
-    if (comment.reactions[reactionType] instanceof Map) {
-      if (comment.reactions[reactionType].has(userId)) {
-        comment.reactions[reactionType].delete(userId);
-      } else {
-        comment.reactions[reactionType].set(userId, userInfo);
-      }
-    } else {
-      // Convert legacy Set to Map
-      const legacyUsers = Array.from(comment.reactions[reactionType]);
-      comment.reactions[reactionType] = new Map();
-      legacyUsers.forEach(id => {
-        if (id !== userId) {
-          comment.reactions[reactionType].set(id, { id, username: 'Legacy User', displayName: 'Legacy User' });
-        }
-      });
-      comment.reactions[reactionType].set(userId, userInfo);
+  // The comment this user created with clientMessageId within the window, or
+  // null. Waits for a create that is still in flight.
+  async findClientMessage(userId, clientMessageId) {
+    this.pruneClientMessages();
+    const entry = this.clientMessages.get(`${userId}|${clientMessageId}`);
+    const commentId = entry && await entry.commentId;
+    const original = commentId ? await this.store.getComment(commentId) : null;
+    if (original) {
+      logger.info(`Duplicate client message ${clientMessageId} from ${userId}`, { commentId });
     }
+    return original;
+  }
 
-    return this.formatCommentForFrontend(comment);
+  // Entries are kept in insertion order, which is also expiry order
+  pruneClientMessages() {
+    const now = Date.now();
+    for (const [key, entry] of this.clientMessages) {
+      if (entry.expiresAt > now) break;
+      this.clientMessages.delete(key);
+    }
+  }
+
+  // Rebuild the recent client message ids from stored comments
+  rememberClientMessage(comment) {
+    if (!comment.clientMessageId) {
+      return;
+    }
+
+    const expiresAt = new Date(comment.createdAt).getTime() + this.clientMessageTtlMs;
+    const key = `${comment.userId}|${comment.clientMessageId}`;
+    if (expiresAt > Date.now() && !this.clientMessages.has(key)) {
+      this.clientMessages.set(key, { commentId: Promise.resolve(comment.id), expiresAt });
+    }
   }
 
   async getThreadParticipants(threadId, threadType) {
     const threadKey = `${threadType}:${threadId}`;
-    const commentIds = this.threadComments.get(threadKey);
+    const comments = await this.store.getCommentsByThreadKey(threadKey);
 
-    if (!commentIds) {
-      return [];
-    }
+    const participants = new Set();
+    comments.forEach(comment => {
+      if (!comment.isDeleted) {
+        participants.add(comment.userId);
+      }
+    });
+
+    return Array.from(participants);
+  }
+
+  async getAnnotationParticipants(annotationId) {
+    const comments = await this.store.getCommentsByAnnotation(annotationId);
 
     const participants = new Set();
-    commentIds.forEach(id => {
-      const comment = this.comments.get(id);
-      if (comment && !comment.isDeleted) {
+    comments.forEach(comment => {
+      if (!comment.isDeleted) {
         participants.add(comment.userId);
       }
     });
@@ -228,16 +844,13 @@ class CommentManager {
   // Get statistics for a thread
   async getThreadStats(threadId, threadType) {
     const threadKey = `${threadType}:${threadId}`;
-    const commentIds = this.threadComments.get(threadKey);
+    const comments = (await this.store.getCommentsByThreadKey(threadKey))
+      .filter(comment => !comment.isDeleted);
 
-    if (!commentIds) {
+    if (comments.length === 0) {
       return { totalComments: 0, participants: 0, lastActivity: null };
     }
 
-    const comments = Array.from(commentIds)
-      .map(id => this.comments.get(id))
-      .filter(comment => comment && !comment.isDeleted);
-
     const participants = new Set(comments.map(c => c.userId));
     const lastActivity = comments.length > 0
       ? Math.max(...comments.map(c => new Date(c.updatedAt || c.createdAt).getTime()))
@@ -287,25 +900,41 @@ class CommentManager {
   }
 
   // Helper method to format a comment for frontend
+  // Revisions are only served through getCommentHistory, and the content of a
+  // deleted comment is never sent while it waits to be purged
   formatCommentForFrontend(comment) {
+    const { revisions, deletion, ...rest } = comment;
     return {
-      ...comment,
+      ...rest,
+      ...(deletion && {
+        deletion: {
+          deletedBy: deletion.deletedBy,
+          deletedAt: deletion.deletedAt,
+          purgeAt: deletion.purgeAt,
+          cascadedFrom: deletion.cascadedFrom || null
+        }
+      }),
+      content: comment.isHidden ? '[Comment hidden by moderator]' : comment.content,
+      version: this.getCommentVersion(comment),
+      revisionCount: revisions?.length || 0,
       reactions: this.formatReactionsForFrontend(comment)
     };
   }
 
   // Get comment threads for an item
-  async getCommentThreads(itemId, user) {
-    const itemKey = `item:${itemId}`;
-    const commentIds = this.threadComments.get(itemKey) || new Set();
+  // options.status limits the result to threads in the given status(es).
+  // With a user, each thread includes their unreadCount and lastReadAt.
+  async getCommentThreads(itemId, user, options = {}) {
+    const userId = user?.id || user?.userId;
+    const itemComments = await this.store.getCommentsByThreadKey(itemThreadKey(itemId));
+    const statusFilter = options.status ? [].concat(options.status) : null;
 
     const threads = [];
     const annotationMap = new Map();
 
     // Group comments by annotation ID
-    commentIds.forEach(id => {
-      const comment = this.comments.get(id);
-      if (comment && !comment.isDeleted) {
+    itemComments.forEach(comment => {
+      if (!comment.isDeleted) {
         const annotationId = comment.annotationId || comment.threadId;
         if (!annotationMap.has(annotationId)) {
           annotationMap.set(annotationId, []);
@@ -315,23 +944,44 @@ class CommentManager {
     });
 
     // Build thread structure
-    annotationMap.forEach((comments, annotationId) => {
+    for (const [annotationId, comments] of annotationMap) {
       const thread = {
         annotationId,
-        comments: comments.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
-        status: comments[0]?.status || 'open',
+        comments: sortForPaging(comments, commentKey),
+        ...await this.getThreadState(annotationId, comments[0]?.status),
         lastActivity: Math.max(...comments.map(c => new Date(c.updatedAt || c.createdAt).getTime()))
       };
+      if (statusFilter && !statusFilter.includes(thread.status)) {
+        continue;
+      }
+      if (userId) {
+        Object.assign(thread, await this.getReadState(annotationId, comments, userId));
+      }
       threads.push(thread);
+    }
+
+    logger.info(`Retrieved ${threads.length} comment threads for item ${itemId}`, {
+      status: options.status
     });
+    return sortForPaging(threads, threadKey, true);
+  }
 
-    logger.info(`Retrieved ${threads.length} comment threads for item ${itemId}`);
-    return threads.sort((a, b) => b.lastActivity - a.lastActivity);
+  // One page of getCommentThreads (options.limit, options.cursor, plus its
+  // status filter). Returns { threads, hasMore, nextCursor }.
+  async getCommentThreadsPage(itemId, user, options = {}) {
+    const threads = await this.getCommentThreads(itemId, user, options);
+    const page = paginate(threads, {
+      limit: options.limit || DEFAULT_PAGE_SIZE,
+      cursor: options.cursor,
+      keyOf: threadKey,
+      descending: true
+    });
+    return { threads: page.items, hasMore: page.hasMore, nextCursor: page.nextCursor };
   }
 
   // Create comment with annotation support
   async createCommentWithAnnotation(data) {
-    const { itemId, content, type, context, user, parentId, replyToAnnotationId, isReply } = data;
+    const { itemId, content, type, context, user, parentId, replyToAnnotationId, isReply, clientMessageId } = data;
 
     // If this is a reply to an existing annotation, use that annotationId
     // Otherwise, create a new annotation
@@ -357,8 +1007,7 @@ class CommentManager {
       id: uuidv4(),
       annotationId,
       itemId,
-      threadId: itemId, // Keep for backward compatibility
-      threadType: 'item',
+      ...fromItemId(itemId), // threadType and threadId, for the legacy API
       content,
       type: type || 'comment',
       context: context || {},
@@ -366,6 +1015,7 @@ class CommentManager {
       isReply: isReply || false,
       userId: normalizedUserInfo.id,
       userInfo: normalizedUserInfo,
+      clientMessageId: clientMessageId || null,
       // Add user fields directly to comment for easier access
       username: normalizedUserInfo.username,
       name: normalizedUserInfo.name,
@@ -373,6 +1023,8 @@ class CommentManager {
       firstName: normalizedUserInfo.firstName,
       lastName: normalizedUserInfo.lastName,
       status: 'open',
+      version: 1,
+      mentions: [],
       createdAt: new Date().toISOString(),
       updatedAt: null,
       isDeleted: false,
@@ -380,23 +1032,14 @@ class CommentManager {
       replies: []
     };
 
-    // Store the comment
-    this.comments.set(comment.id, comment);
-
-    // Add to item mapping
-    const itemKey = `item:${itemId}`;
-    if (!this.threadComments.has(itemKey)) {
-      this.threadComments.set(itemKey, new Set());
-    }
-    this.threadComments.get(itemKey).add(comment.id);
+    this.userDirectory.remember(comment.userId, normalizedUserInfo);
+    comment.mentions = this.resolveMentions(content).mentions;
 
     // If this is a reply, add it to parent's replies
-    if (comment.parentId) {
-      const parentComment = this.comments.get(comment.parentId);
-      if (parentComment) {
-        parentComment.replies.push(comment.id);
-      }
-    }
+    const parentComment = comment.parentId ? await this.linkReply(comment) : null;
+
+    // Store the comment (the store maintains the item mapping)
+    await this.commit('comment_created', [comment, parentComment], comment.userId);
 
     logger.info(`Comment with annotation created: ${comment.id}`, {
       annotationId,
@@ -411,116 +1054,364 @@ class CommentManager {
   }
 
   // Get a specific comment thread by annotation ID
-  async getCommentThread(annotationId) {
-    const comments = [];
+  // With options.limit or options.cursor only one page of comments is
+  // returned, and the thread also carries hasMore/nextCursor. With
+  // options.user it includes their unreadCount and lastReadAt.
+  async getCommentThread(annotationId, options = {}) {
+    const comments = sortForPaging(
+      (await this.store.getCommentsByAnnotation(annotationId))
+        .filter(comment => !comment.isDeleted)
+        .map(comment => this.formatCommentForFrontend(comment)),
+      commentKey
+    );
+    const userId = options.user?.id || options.user?.userId;
+    const state = {
+      ...await this.getThreadState(annotationId, comments[0]?.status),
+      ...(userId && await this.getReadState(annotationId, comments, userId))
+    };
 
-    this.comments.forEach(comment => {
-      if (comment.annotationId === annotationId && !comment.isDeleted) {
-        comments.push(this.formatCommentForFrontend(comment));
-      }
-    });
+    if (!options.limit && !options.cursor) {
+      return { annotationId, comments, ...state };
+    }
 
+    const page = paginate(comments, { limit: options.limit, cursor: options.cursor, keyOf: commentKey });
     return {
       annotationId,
-      comments: comments.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
-      status: comments[0]?.status || 'open'
+      comments: page.items,
+      ...state,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor
     };
   }
 
-  // Update comment status
-  async updateCommentStatus(annotationId, status, user) {
-    let updated = false;
+  // Move an annotation thread through the status workflow (STATUS_TRANSITIONS).
+  // options.expectedVersion rejects the change if the thread moved on since
+  // the caller read it.
+  // Returns { thread } with the thread state, { conflict } with the current
+  // thread state if the version doesn't match, { error } if the transition is
+  // not allowed, or null if the thread doesn't exist.
+  async updateCommentStatus(annotationId, status, user, options = {}) {
+    const comments = await this.store.getCommentsByAnnotation(annotationId);
+    if (comments.length === 0) {
+      logger.warn(`Thread not found for status update: ${annotationId}`);
+      return null;
+    }
 
-    this.comments.forEach(comment => {
-      if (comment.annotationId === annotationId) {
-        comment.status = status;
-        comment.updatedAt = new Date().toISOString();
-        updated = true;
-      }
-    });
+    const userId = user.userId || user.id;
+    const thread = await this.getThreadRecord(annotationId, comments[0].itemId);
+    const current = this.normalizeStatus(thread.status || comments[0].status);
+
+    if (!this.matchesVersion(thread.version || 0, options.expectedVersion)) {
+      logger.warn(`Version conflict updating status of annotation ${annotationId}`, {
+        expected: options.expectedVersion,
+        current: thread.version || 0,
+        userId
+      });
+      return { conflict: await this.getPublicThreadState(thread, comments[0].status) };
+    }
 
-    if (updated) {
-      logger.info(`Comment status updated for annotation ${annotationId}`, {
-        status,
-        userId: user.userId || user.id
+    if (!this.canTransitionStatus(current, status)) {
+      logger.warn(`Invalid status transition for annotation ${annotationId}`, {
+        from: current,
+        to: status,
+        userId
       });
+      return { error: `Cannot change status from ${current} to ${status}` };
     }
 
-    return updated;
+    const now = new Date().toISOString();
+    thread.status = status;
+    thread.statusUpdatedBy = { id: userId, name: user.name || user.username || userId };
+    thread.statusUpdatedAt = now;
+    if (status === 'resolved') {
+      thread.resolvedBy = thread.statusUpdatedBy;
+      thread.resolvedAt = now;
+    } else if (status === 'reopened') {
+      thread.resolvedBy = null;
+      thread.resolvedAt = null;
+    }
+    this.bumpThreadVersion(thread);
+
+    // Comments keep a copy of the status for clients that read it from there
+    for (const comment of comments) {
+      comment.status = status;
+      comment.updatedAt = now;
+    }
+
+    await this.commit('comment_status_updated', comments, userId, [thread]);
+
+    logger.info(`Comment status updated for annotation ${annotationId}`, {
+      from: current,
+      status,
+      userId
+    });
+
+    return { thread: { ...thread, ...await this.getThreadState(annotationId) } };
   }
 
-  // Add reaction to a comment
+  // Add a reaction to a comment. Adding is idempotent: reacting again with the
+  // same emoji leaves it in place. In 'single' mode the user's other reactions
+  // on the comment are replaced. annotationId is null for legacy post/article
+  // comments.
+  // Returns the reaction result, { error } if the policy rejects it, or null if
+  // the comment wasn't found
   async addReaction(annotationId, commentId, reactionType, user) {
-    const comment = this.comments.get(commentId);
-
-    if (!comment || comment.annotationId !== annotationId) {
-      logger.warn(`Comment not found or annotation mismatch: ${commentId}, ${annotationId}`);
+    const comment = await this.findReactableComment(annotationId, commentId);
+    if (!comment) {
       return null;
     }
 
-    // Initialize reaction storage as Map to store user objects
-    if (!comment.reactions[reactionType]) {
-      comment.reactions[reactionType] = new Map();
+    if (this.reactionAllowlist && !this.reactionAllowlist.includes(reactionType)) {
+      return { error: `Reaction ${reactionType} is not allowed` };
     }
 
     const userId = user.userId || user.id;
     const userInfo = {
       id: userId,
       username: user.username || user.clientUserName || 'Unknown User',
-      displayName: user.displayName || user.name || user.firstName + ' ' + user.lastName || user.username || 'Unknown User',
+      displayName: user.displayName || user.name ||
+        (user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : null) ||
+        user.username || userId,
       firstName: user.firstName || 'Unknown',
       lastName: user.lastName || 'User'
     };
 
-    // Check if user already has this reaction
-    const hasReaction = comment.reactions[reactionType].has(userId);
-
-    if (hasReaction) {
-      // Remove the reaction
-      comment.reactions[reactionType].delete(userId);
-    } else {
-      // Remove user from all other reactions for this comment
+    let changed = false;
+    if (this.reactionMode === 'single') {
       Object.keys(comment.reactions).forEach(type => {
-        if (type !== reactionType && comment.reactions[type] instanceof Map) {
-          comment.reactions[type].delete(userId);
+        if (type !== reactionType && this.getReactionUsers(comment, type).delete(userId)) {
+          changed = true;
         }
       });
-      // Add the reaction with user info
-      comment.reactions[reactionType].set(userId, userInfo);
     }
 
-    comment.updatedAt = new Date().toISOString();
+    const users = this.getReactionUsers(comment, reactionType);
+    if (!users.has(userId)) {
+      users.set(userId, userInfo);
+      changed = true;
+    }
 
-    // Convert Maps to arrays for JSON serialization
-    const reactionsForResponse = {};
-    Object.keys(comment.reactions).forEach(type => {
-      if (comment.reactions[type] instanceof Map) {
-        reactionsForResponse[type] = Array.from(comment.reactions[type].values());
-      } else if (comment.reactions[type] instanceof Set) {
-        // Handle legacy Set format by converting to user objects
-        reactionsForResponse[type] = Array.from(comment.reactions[type]).map(id => ({
-          id: id,
-          username: 'Unknown User',
-          displayName: 'Unknown User'
-        }));
-      }
-    });
+    if (changed) {
+      comment.updatedAt = new Date().toISOString();
+      await this.commit('reaction_added', [comment], userId);
+    }
 
-    logger.info(`Reaction ${reactionType} toggled for comment ${commentId}`, {
+    logger.info(`Reaction ${reactionType} added to comment ${commentId}`, {
       annotationId,
       userId,
       userDisplayName: userInfo.displayName,
-      hasReaction: !hasReaction // inverted because we toggled it
+      changed
+    });
+
+    return this.reactionResult(comment, reactionType, userId, userInfo.displayName, changed);
+  }
+
+  // Remove the user's reaction. Removing a reaction the user doesn't have is a
+  // no-op, so retries are safe.
+  // Returns the reaction result, or null if the comment wasn't found
+  async removeReaction(annotationId, commentId, reactionType, user) {
+    const comment = await this.findReactableComment(annotationId, commentId);
+    if (!comment) {
+      return null;
+    }
+
+    const userId = user.userId || user.id;
+    const changed = comment.reactions[reactionType]
+      ? this.getReactionUsers(comment, reactionType).delete(userId)
+      : false;
+
+    if (changed) {
+      if (this.getReactionUsers(comment, reactionType).size === 0) {
+        delete comment.reactions[reactionType];
+      }
+      comment.updatedAt = new Date().toISOString();
+      await this.commit('reaction_removed', [comment], userId);
+    }
+
+    logger.info(`Reaction ${reactionType} removed from comment ${commentId}`, {
+      annotationId,
+      userId,
+      changed
+    });
+
+    return this.reactionResult(comment, reactionType, userId, user.displayName || user.name || userId, changed);
+  }
+
+  // Returns the comment's formatted reactions, or null if it wasn't found
+  async getReactions(annotationId, commentId) {
+    const comment = await this.findReactableComment(annotationId, commentId);
+    return comment ? this.formatReactionsForFrontend(comment) : null;
+  }
+
+  getReactionPolicy() {
+    return { mode: this.reactionMode, allowlist: this.reactionAllowlist };
+  }
+
+  async findReactableComment(annotationId, commentId) {
+    const comment = await this.store.getComment(commentId);
+    if (!comment || comment.isDeleted || (annotationId && comment.annotationId !== annotationId)) {
+      logger.warn(`Comment not found or annotation mismatch: ${commentId}, ${annotationId}`);
+      return null;
+    }
+    return comment;
+  }
+
+  // The Map of users for one emoji, created if missing. Legacy Sets of user
+  // ids are converted in place.
+  getReactionUsers(comment, reactionType) {
+    const existing = comment.reactions[reactionType];
+    if (existing instanceof Map) {
+      return existing;
+    }
+
+    const users = new Map();
+    Array.from(existing || []).forEach(id => {
+      users.set(id, { id, username: 'Unknown User', displayName: 'Unknown User' });
     });
+    comment.reactions[reactionType] = users;
+    return users;
+  }
 
+  reactionResult(comment, reactionType, userId, userDisplayName, changed) {
+    const users = comment.reactions[reactionType] instanceof Map
+      ? Array.from(comment.reactions[reactionType].values())
+      : [];
     return {
       type: reactionType,
-      users: reactionsForResponse[reactionType],
-      count: reactionsForResponse[reactionType].length,
+      users,
+      count: users.length,
       userId,
-      userDisplayName: userInfo.displayName
+      userDisplayName,
+      changed
     };
   }
+
+  // Extract @handles from content and resolve them against known users.
+  // Returns { mentions: [{ userId, username, handle }], unresolved: [handle] }
+  resolveMentions(content) {
+    const mentions = [];
+    const unresolved = [];
+    const seen = new Set();
+
+    for (const match of content.matchAll(MENTION_PATTERN)) {
+      // Trailing dots are sentence punctuation, not part of the handle
+      const handle = match[2].replace(/\.+$/, '');
+      const key = handle.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const user = this.userDirectory.findByHandle(handle);
+      if (user) {
+        if (!mentions.some(m => m.userId === user.id)) {
+          mentions.push({ userId: user.id, username: user.username, handle });
+        }
+      } else {
+        unresolved.push(handle);
+      }
+    }
+
+    return { mentions, unresolved };
+  }
+
+  // Teach the user directory about every stored comment author, and recall
+  // recent client message ids
+  async rememberStoredComments() {
+    const { comments } = await this.store.exportState();
+    sortForPaging(comments, commentKey).forEach(comment => {
+      this.userDirectory.remember(comment.userId, comment.userInfo);
+      this.rememberClientMessage(comment);
+    });
+  }
+
+  // Record a new reply on its parent comment; returns the parent to be committed
+  async linkReply(comment) {
+    const parentComment = await this.store.getComment(comment.parentId);
+    if (parentComment) {
+      parentComment.replies.push(comment.id);
+    }
+    return parentComment;
+  }
+
+  // Append changed comments and thread records to the journal (if any), then
+  // persist them. A failed append leaves the store untouched, so the store
+  // never holds a change the journal can't replay.
+  async commit(type, comments, actorId, threads = []) {
+    const changed = comments.filter(Boolean);
+    const save = () => this.store.saveBatch({ comments: changed, threads });
+
+    if (this.journal) {
+      await this.journal.append('comments', type, {
+        actorId,
+        comments: changed.map(serializeComment),
+        threads
+      }, save);
+    } else {
+      await save();
+    }
+  }
+
+  // Journal replay hooks (see services/EventJournal.js)
+  async applyJournalEntry(entry) {
+    const comments = [];
+    for (const data of entry.data.comments || []) {
+      const comment = deserializeComment(data);
+      await this.adoptLegacyComment(comment);
+      comments.push(comment);
+      this.userDirectory.remember(data.userId, data.userInfo);
+      this.rememberClientMessage(comment);
+    }
+    await this.store.saveBatch({
+      comments,
+      threads: entry.data.threads || [],
+      deletedIds: entry.data.purgedIds || []
+    });
+  }
+
+  async exportState() {
+    return this.store.exportState();
+  }
+
+  async importState(state) {
+    await this.store.importState(state);
+    await this.adoptLegacyComments();
+    await this.rememberStoredComments();
+  }
+
+  // Legacy comments from before the models were unified have no item or
+  // annotation. Derive them the way createComment assigns them; parents must
+  // be adopted before their replies. Returns true if the comment changed.
+  async adoptLegacyComment(comment) {
+    if (comment.annotationId) {
+      return false;
+    }
+
+    const parent = comment.parentId ? await this.store.getComment(comment.parentId) : null;
+    comment.itemId = toItemId(comment.threadType, comment.threadId);
+    comment.annotationId = parent?.annotationId || comment.id;
+    comment.isReply = !!comment.parentId;
+    comment.status = comment.status || parent?.status || 'open';
+    return true;
+  }
+
+  async adoptLegacyComments() {
+    const comments = sortForPaging(await this.store.listComments(), commentKey);
+    const adopted = [];
+    for (const comment of comments) {
+      if (await this.adoptLegacyComment(comment)) {
+        adopted.push(comment);
+      }
+    }
+    if (adopted.length > 0) {
+      await this.store.saveBatch({ comments: adopted });
+      logger.info(`Added item and annotation ids to ${adopted.length} legacy comments`);
+    }
+  }
 }
 
+CommentManager.THREAD_STATUSES = THREAD_STATUSES;
+CommentManager.REACTION_MODES = REACTION_MODES;
+CommentManager.LEGACY_THREAD_TYPES = LEGACY_THREAD_TYPES;
+CommentManager.toItemId = toItemId;
+CommentManager.fromItemId = fromItemId;
+
 module.exports = CommentManager;
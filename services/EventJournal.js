@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Append-only journal of state mutations (one JSON line per entry) with
+// periodic compaction into a snapshot. Managers append an entry for every
+// mutation before it is acknowledged to clients; on boot the snapshot is
+// loaded and the remaining entries are replayed on top of it.
+class EventJournal {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.journalPath = path.join(this.dir, 'journal.log');
+    this.snapshotPath = path.join(this.dir, 'snapshot.json');
+    this.compactThreshold = options.compactThreshold || 1000;
+    this.compactIntervalMs = options.compactIntervalMs || 300000; // 5 minutes
+
+    this.seq = 0;
+    this.entriesSinceSnapshot = 0;
+    this.handle = null;
+    this.targets = null;
+    this.timer = null;
+    this.queue = Promise.resolve();
+  }
+
+  async init() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    this.handle = await fs.promises.open(this.journalPath, 'a');
+  }
+
+  // Rebuild state: load the snapshot, then replay newer journal entries.
+  // targets maps a scope name to an object with importState, exportState
+  // and applyJournalEntry.
+  async replay(targets) {
+    this.targets = targets;
+
+    const snapshot = await this.readSnapshot();
+    if (snapshot) {
+      this.seq = snapshot.seq;
+      for (const [scope, target] of Object.entries(targets)) {
+        await target.importState(snapshot.state[scope]);
+      }
+    }
+
+    const entries = await this.readEntries();
+    let replayed = 0;
+    for (const entry of entries) {
+      if (entry.seq <= this.seq) continue;
+
+      const target = targets[entry.scope];
+      if (!target) {
+        logger.warn(`Skipping journal entry with unknown scope: ${entry.scope}`, { seq: entry.seq });
+        continue;
+      }
+
+      await target.applyJournalEntry(entry);
+      this.seq = entry.seq;
+      replayed++;
+    }
+    this.entriesSinceSnapshot = replayed;
+
+    logger.info(`Journal replayed`, {
+      snapshotSeq: snapshot ? snapshot.seq : null,
+      replayedEntries: replayed,
+      seq: this.seq
+    });
+
+    this.timer = setInterval(() => {
+      this.compact().catch(error => logger.error('Journal compaction failed:', error));
+    }, this.compactIntervalMs);
+    this.timer.unref();
+  }
+
+  // apply, if given, runs once the entry is on disk and before anything else
+  // in the queue, so a compaction never snapshots state without it
+  append(scope, type, data, apply) {
+    return this.enqueue(async () => {
+      const entry = {
+        seq: this.seq + 1,
+        scope,
+        type,
+        at: new Date().toISOString(),
+        data
+      };
+
+      await this.handle.write(JSON.stringify(entry) + '\n');
+      await this.handle.datasync();
+      this.seq = entry.seq;
+      this.entriesSinceSnapshot++;
+      if (apply) {
+        await apply();
+      }
+
+      if (this.targets && this.entriesSinceSnapshot >= this.compactThreshold) {
+        // Runs after this append in the queue; callers don't wait for it
+        this.compact().catch(error => logger.error('Journal compaction failed:', error));
+      }
+
+      return entry;
+    });
+  }
+
+  // Write a snapshot of the current state and truncate the journal
+  compact() {
+    return this.enqueue(async () => {
+      if (!this.targets || this.entriesSinceSnapshot === 0) {
+        return;
+      }
+
+      const state = {};
+      for (const [scope, target] of Object.entries(this.targets)) {
+        state[scope] = await target.exportState();
+      }
+
+      const tmpPath = `${this.snapshotPath}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify({
+        seq: this.seq,
+        createdAt: new Date().toISOString(),
+        state
+      }));
+      await fs.promises.rename(tmpPath, this.snapshotPath);
+
+      await this.handle.truncate(0);
+      this.entriesSinceSnapshot = 0;
+
+      logger.info(`Journal compacted into snapshot at seq ${this.seq}`);
+    });
+  }
+
+  async close() {
+    clearInterval(this.timer);
+    await this.compact();
+    await this.enqueue(async () => {
+      await this.handle.close();
+    });
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async readSnapshot() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.snapshotPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async readEntries() {
+    const raw = await fs.promises.readFile(this.journalPath, 'utf8');
+    const lines = raw.split('\n');
+    const entries = [];
+    let validLength = 0;
+
+    for (let index = 0; index < lines.length; index++) {
+      const line = lines[index];
+      if (!line) continue;
+
+      try {
+        entries.push(JSON.parse(line));
+        validLength += Buffer.byteLength(line) + 1;
+      } catch (error) {
+        // A torn final line means we crashed mid-append; that write was never
+        // acknowledged, so drop it before new entries are appended after it
+        if (index === lines.length - 1) {
+          logger.warn('Discarding incomplete trailing journal entry');
+          await this.handle.truncate(validLength);
+        } else {
+          throw new Error(`Corrupt journal entry at line ${index + 1}`);
+        }
+      }
+    }
+
+    return entries;
+  }
+}
+
+module.exports = EventJournal;
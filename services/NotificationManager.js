@@ -1,23 +1,46 @@
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const { createNotificationStore } = require('./storage');
+
+// Emits 'notification_created' for every new notification so the server can
+// push it to the recipient's user room.
+class NotificationManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // Used to look up thread participants
+    this.commentManager = options.commentManager || null;
+    // Storage adapter (memory or file), selected via NOTIFICATION_STORE
+    this.store = options.store || createNotificationStore();
+    // Optional EventJournal; every mutation is appended before it is acknowledged
+    this.journal = options.journal || null;
+  }
+
+  async init() {
+    await this.store.init();
+  }
 
-class NotificationManager {
-  constructor() {
-    // In-memory storage for demo purposes
-    // In production, you'd use a real database
-    this.notifications = new Map();
-    this.userNotifications = new Map(); // userId -> Set of notificationIds
+  async close() {
+    await this.store.close();
   }
 
   async createCommentNotification(comment, authorId) {
+    const notifications = [];
+
     try {
-      // Don't send notification to the comment author
+      // Don't send notification to the comment author. Legacy threads keep
+      // notifying everyone in the thread, not just the annotation.
       const threadParticipants = await this.getThreadParticipants(
         comment.threadId, 
-        comment.threadType
+        comment.threadType,
+        comment.threadType === 'item' ? comment.annotationId : null
       );
       
-      const recipients = threadParticipants.filter(userId => userId !== authorId);
+      // Mentioned users get a mention notification instead
+      const mentionedIds = new Set((comment.mentions || []).map(m => m.userId));
+      const recipients = threadParticipants.filter(
+        userId => userId !== authorId && !mentionedIds.has(userId)
+      );
 
       for (const recipientId of recipients) {
         const notification = {
@@ -28,6 +51,8 @@ class NotificationManager {
             commentId: comment.id,
             threadId: comment.threadId,
             threadType: comment.threadType,
+            itemId: comment.itemId,
+            annotationId: comment.annotationId,
             authorId: comment.userId,
             authorInfo: comment.userInfo,
             content: this.truncateContent(comment.content, 100),
@@ -38,9 +63,8 @@ class NotificationManager {
         };
 
         await this.saveNotification(notification);
+        notifications.push(notification);
         
-        // Here you would typically send the notification via Socket.IO
-        // This is handled in the main server file
         logger.info(`Comment notification created for user ${recipientId}`, {
           notificationId: notification.id,
           commentId: comment.id
@@ -49,6 +73,76 @@ class NotificationManager {
     } catch (error) {
       logger.error('Error creating comment notification:', error);
     }
+
+    return notifications;
+  }
+
+  // Notify every @mentioned user (except the author), whether or not they
+  // have participated in the thread
+  async createMentionNotifications(comment, authorId) {
+    const notifications = [];
+
+    for (const mention of comment.mentions || []) {
+      if (mention.userId === authorId) continue;
+
+      const notification = {
+        id: uuidv4(),
+        type: 'mention',
+        recipientId: mention.userId,
+        data: {
+          commentId: comment.id,
+          threadId: comment.threadId,
+          threadType: comment.threadType,
+          itemId: comment.itemId,
+          annotationId: comment.annotationId,
+          authorId: comment.userId,
+          authorInfo: comment.userInfo,
+          content: this.truncateContent(comment.content, 100)
+        },
+        read: false,
+        createdAt: new Date().toISOString()
+      };
+
+      await this.saveNotification(notification);
+      notifications.push(notification);
+
+      logger.info(`Mention notification created for user ${mention.userId}`, {
+        notificationId: notification.id,
+        commentId: comment.id
+      });
+    }
+
+    return notifications;
+  }
+
+  // Tell a user they were assigned to an annotation thread (unless they
+  // assigned themselves)
+  async createAssignmentNotification(thread, assignee) {
+    if (assignee.id === assignee.assignedBy.id) {
+      return null;
+    }
+
+    const notification = {
+      id: uuidv4(),
+      type: 'thread_assigned',
+      recipientId: assignee.id,
+      data: {
+        annotationId: thread.annotationId,
+        itemId: thread.itemId,
+        assignedBy: assignee.assignedBy
+      },
+      read: false,
+      createdAt: assignee.assignedAt
+    };
+
+    await this.saveNotification(notification);
+
+    logger.info(`Assignment notification created for user ${assignee.id}`, {
+      notificationId: notification.id,
+      annotationId: thread.annotationId
+    });
+
+    return notification;
   }
 
   async createCustomNotification(recipientId, type, data) {
@@ -72,152 +166,92 @@ class NotificationManager {
   }
 
   async saveNotification(notification) {
-    // Store the notification
-    this.notifications.set(notification.id, notification);
+    // The store maintains the per-user mapping
+    await this.store.saveNotification(notification);
+    await this.appendToJournal('notification_created', { notification });
 
-    // Add to user mapping
-    if (!this.userNotifications.has(notification.recipientId)) {
-      this.userNotifications.set(notification.recipientId, new Set());
-    }
-    this.userNotifications.get(notification.recipientId).add(notification.id);
+    // Delivered over Socket.IO by the server
+    this.emit('notification_created', notification);
   }
 
   async getUnreadNotifications(userId, limit = 50) {
-    const userNotificationIds = this.userNotifications.get(userId);
-    
-    if (!userNotificationIds) {
-      return [];
-    }
-
-    const notifications = Array.from(userNotificationIds)
-      .map(id => this.notifications.get(id))
-      .filter(notification => notification && !notification.read)
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-      .slice(0, limit);
+    const notifications = await this.store.listNotifications(userId, {
+      unreadOnly: true,
+      limit
+    });
 
     logger.info(`Retrieved ${notifications.length} unread notifications for user ${userId}`);
     return notifications;
   }
 
   async getAllNotifications(userId, limit = 50, offset = 0) {
-    const userNotificationIds = this.userNotifications.get(userId);
-    
-    if (!userNotificationIds) {
-      return [];
-    }
-
-    const notifications = Array.from(userNotificationIds)
-      .map(id => this.notifications.get(id))
-      .filter(notification => notification)
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-      .slice(offset, offset + limit);
+    const notifications = await this.store.listNotifications(userId, {
+      limit,
+      offset
+    });
 
     logger.info(`Retrieved ${notifications.length} notifications for user ${userId}`);
     return notifications;
   }
 
   async markAsRead(notificationId, userId) {
-    const notification = this.notifications.get(notificationId);
-    
-    if (!notification) {
-      logger.warn(`Notification not found: ${notificationId}`);
-      return false;
-    }
+    // Lookups are scoped to the user, so other users' notifications are "not found"
+    const notification = await this.store.markAsRead(
+      userId,
+      notificationId,
+      new Date().toISOString()
+    );
 
-    if (notification.recipientId !== userId) {
-      logger.warn(`Unauthorized notification access attempt`, {
-        notificationId,
-        userId,
-        recipientId: notification.recipientId
-      });
+    if (!notification) {
+      logger.warn(`Notification not found: ${notificationId}`, { userId });
       return false;
     }
 
-    notification.read = true;
-    notification.readAt = new Date().toISOString();
+    await this.appendToJournal('notification_read', { notification });
 
     logger.info(`Notification marked as read: ${notificationId}`, { userId });
     return true;
   }
 
   async markAllAsRead(userId) {
-    const userNotificationIds = this.userNotifications.get(userId);
-    
-    if (!userNotificationIds) {
-      return 0;
-    }
-
-    let markedCount = 0;
     const readAt = new Date().toISOString();
-
-    userNotificationIds.forEach(id => {
-      const notification = this.notifications.get(id);
-      if (notification && !notification.read) {
-        notification.read = true;
-        notification.readAt = readAt;
-        markedCount++;
-      }
-    });
+    const markedCount = await this.store.markAllAsRead(userId, readAt);
+    await this.appendToJournal('notifications_read_all', { userId, readAt });
 
     logger.info(`Marked ${markedCount} notifications as read for user ${userId}`);
     return markedCount;
   }
 
   async deleteNotification(notificationId, userId) {
-    const notification = this.notifications.get(notificationId);
-    
-    if (!notification) {
-      logger.warn(`Notification not found: ${notificationId}`);
-      return false;
-    }
+    // Removes the notification and its user mapping, scoped to the user
+    const deleted = await this.store.deleteNotification(userId, notificationId);
 
-    if (notification.recipientId !== userId) {
-      logger.warn(`Unauthorized notification deletion attempt`, {
-        notificationId,
-        userId,
-        recipientId: notification.recipientId
-      });
+    if (!deleted) {
+      logger.warn(`Notification not found: ${notificationId}`, { userId });
       return false;
     }
 
-    // Remove from storage
-    this.notifications.delete(notificationId);
-    
-    // Remove from user mapping
-    const userNotificationIds = this.userNotifications.get(userId);
-    if (userNotificationIds) {
-      userNotificationIds.delete(notificationId);
-    }
+    await this.appendToJournal('notification_deleted', { userId, notificationId });
 
     logger.info(`Notification deleted: ${notificationId}`, { userId });
     return true;
   }
 
   async getNotificationStats(userId) {
-    const userNotificationIds = this.userNotifications.get(userId);
-    
-    if (!userNotificationIds) {
-      return { total: 0, unread: 0 };
-    }
-
-    const notifications = Array.from(userNotificationIds)
-      .map(id => this.notifications.get(id))
-      .filter(notification => notification);
-
-    const unreadCount = notifications.filter(n => !n.read).length;
-
-    return {
-      total: notifications.length,
-      unread: unreadCount
-    };
+    return this.store.getStats(userId);
   }
 
   // Helper method to get thread participants
-  // This would typically be injected or accessed via a service
-  async getThreadParticipants(threadId, threadType) {
-    // This is a simplified implementation
-    // In practice, you'd query your main database or use CommentManager
-    return []; // Return empty array for now
+  // Item comments are grouped by annotation; legacy comments by thread
+  async getThreadParticipants(threadId, threadType, annotationId) {
+    if (!this.commentManager) {
+      return [];
+    }
+
+    if (annotationId) {
+      return this.commentManager.getAnnotationParticipants(annotationId);
+    }
+    return this.commentManager.getThreadParticipants(threadId, threadType);
   }
 
   // Helper method to truncate content
@@ -233,26 +267,49 @@ class NotificationManager {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
-    let deletedCount = 0;
-
-    this.notifications.forEach((notification, id) => {
-      if (new Date(notification.createdAt) < cutoffDate) {
-        // Remove from storage
-        this.notifications.delete(id);
-        
-        // Remove from user mapping
-        const userNotificationIds = this.userNotifications.get(notification.recipientId);
-        if (userNotificationIds) {
-          userNotificationIds.delete(id);
-        }
-        
-        deletedCount++;
-      }
-    });
+    const deletedCount = await this.store.deleteOlderThan(cutoffDate);
+    await this.appendToJournal('notifications_cleaned', { cutoff: cutoffDate.toISOString() });
 
     logger.info(`Cleaned up ${deletedCount} old notifications`);
     return deletedCount;
   }
+
+  async appendToJournal(type, data) {
+    if (this.journal) {
+      await this.journal.append('notifications', type, data);
+    }
+  }
+
+  // Journal replay hooks (see services/EventJournal.js)
+  async applyJournalEntry(entry) {
+    const { data } = entry;
+
+    switch (entry.type) {
+      case 'notification_created':
+      case 'notification_read':
+        await this.store.saveNotification(data.notification);
+        break;
+      case 'notifications_read_all':
+        await this.store.markAllAsRead(data.userId, data.readAt);
+        break;
+      case 'notification_deleted':
+        await this.store.deleteNotification(data.userId, data.notificationId);
+        break;
+      case 'notifications_cleaned':
+        await this.store.deleteOlderThan(new Date(data.cutoff));
+        break;
+      default:
+        logger.warn(`Unknown notification journal entry: ${entry.type}`, { seq: entry.seq });
+    }
+  }
+
+  async exportState() {
+    return this.store.exportState();
+  }
+
+  async importState(state) {
+    await this.store.importState(state);
+  }
 }
 
 module.exports = NotificationManager; 
\ No newline at end of file
@@ -0,0 +1,131 @@
+// Tracks which users are viewing each item. A user with several sockets (tabs)
+// in the same item counts once; their status is the most active one across
+// those sockets.
+const STATUS_RANK = { active: 3, idle: 2, away: 1 };
+const PRESENCE_STATUSES = Object.keys(STATUS_RANK);
+
+class PresenceTracker {
+  constructor() {
+    this.items = new Map(); // itemId -> Map<userId, { user, sockets: Map<socketId, status>, joinedAt }>
+    this.socketItems = new Map(); // socketId -> Set of itemIds
+    this.socketStatus = new Map(); // socketId -> status
+  }
+
+  // Returns the user's presence entry if this is their first socket in the
+  // item, or null if they were already present
+  join(itemId, socket) {
+    if (!this.items.has(itemId)) {
+      this.items.set(itemId, new Map());
+    }
+    const users = this.items.get(itemId);
+
+    let record = users.get(socket.userId);
+    const isNew = !record;
+    if (isNew) {
+      record = {
+        user: this.publicUser(socket.userId, socket.userInfo),
+        sockets: new Map(),
+        joinedAt: new Date().toISOString()
+      };
+      users.set(socket.userId, record);
+    }
+    record.sockets.set(socket.id, this.socketStatus.get(socket.id) || 'active');
+
+    if (!this.socketItems.has(socket.id)) {
+      this.socketItems.set(socket.id, new Set());
+    }
+    this.socketItems.get(socket.id).add(itemId);
+
+    return isNew ? this.toEntry(record) : null;
+  }
+
+  // Returns the user's last presence entry if this was their last socket in
+  // the item, or null if they are still present
+  leave(itemId, socketId) {
+    this.socketItems.get(socketId)?.delete(itemId);
+
+    const users = this.items.get(itemId);
+    if (!users) {
+      return null;
+    }
+
+    for (const [userId, record] of users) {
+      if (!record.sockets.delete(socketId)) continue;
+
+      if (record.sockets.size > 0) {
+        return null;
+      }
+      users.delete(userId);
+      if (users.size === 0) {
+        this.items.delete(itemId);
+      }
+      return this.toEntry(record);
+    }
+    return null;
+  }
+
+  // Remove a socket from every item. Returns [{ itemId, entry }] for the items
+  // its user has now left.
+  leaveAll(socketId) {
+    const left = [];
+    for (const itemId of this.socketItems.get(socketId) || []) {
+      const entry = this.leave(itemId, socketId);
+      if (entry) {
+        left.push({ itemId, entry });
+      }
+    }
+    this.socketItems.delete(socketId);
+    this.socketStatus.delete(socketId);
+    return left;
+  }
+
+  // Set a socket's status. Returns [{ itemId, entry }] for the items where the
+  // user's combined status changed.
+  setStatus(socketId, status) {
+    this.socketStatus.set(socketId, status);
+
+    const changed = [];
+    for (const itemId of this.socketItems.get(socketId) || []) {
+      const record = Array.from(this.items.get(itemId)?.values() || [])
+        .find(r => r.sockets.has(socketId));
+      if (!record) continue;
+
+      const before = this.combinedStatus(record);
+      record.sockets.set(socketId, status);
+      if (this.combinedStatus(record) !== before) {
+        changed.push({ itemId, entry: this.toEntry(record) });
+      }
+    }
+    return changed;
+  }
+
+  list(itemId) {
+    return Array.from(this.items.get(itemId)?.values() || []).map(record => this.toEntry(record));
+  }
+
+  combinedStatus(record) {
+    return Array.from(record.sockets.values())
+      .reduce((best, status) => (STATUS_RANK[status] > STATUS_RANK[best] ? status : best), 'away');
+  }
+
+  toEntry(record) {
+    return {
+      ...record.user,
+      status: this.combinedStatus(record),
+      joinedAt: record.joinedAt
+    };
+  }
+
+  // Only what other viewers need to see
+  publicUser(userId, userInfo = {}) {
+    return {
+      userId,
+      name: userInfo.name || userInfo.username || userId,
+      username: userInfo.username || null
+    };
+  }
+}
+
+PresenceTracker.PRESENCE_STATUSES = PRESENCE_STATUSES;
+
+module.exports = PresenceTracker;
@@ -0,0 +1,59 @@
+const EventEmitter = require('events');
+
+// Server-side typing state. Each indicator expires unless the client repeats
+// typing_start within timeoutMs, so a crashed client can't leave it stuck.
+// Emits 'expired' with the context passed to start().
+class TypingTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.timeoutMs = options.timeoutMs || 8000;
+    this.typing = new Map(); // `${scopeKey}|${userId}` -> { socketId, context, timer }
+  }
+
+  // Start or refresh an indicator. Returns true if the user wasn't already
+  // typing in this scope (so the start should be announced).
+  start(scopeKey, userId, socketId, context) {
+    const key = `${scopeKey}|${userId}`;
+    const existing = this.typing.get(key);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    const timer = setTimeout(() => {
+      this.typing.delete(key);
+      this.emit('expired', context);
+    }, this.timeoutMs);
+    timer.unref();
+
+    this.typing.set(key, { socketId, context, timer });
+    return !existing;
+  }
+
+  // Returns the stopped indicator's context, or null if there wasn't one
+  stop(scopeKey, userId) {
+    const key = `${scopeKey}|${userId}`;
+    const existing = this.typing.get(key);
+    if (!existing) {
+      return null;
+    }
+
+    clearTimeout(existing.timer);
+    this.typing.delete(key);
+    return existing.context;
+  }
+
+  // Stop everything a socket started; returns their contexts
+  stopAllForSocket(socketId) {
+    const stopped = [];
+    for (const [key, entry] of this.typing) {
+      if (entry.socketId !== socketId) continue;
+
+      clearTimeout(entry.timer);
+      this.typing.delete(key);
+      stopped.push(entry.context);
+    }
+    return stopped;
+  }
+}
+
+module.exports = TypingTracker;
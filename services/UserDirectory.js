@@ -0,0 +1,44 @@
+// Users the server has seen, from authenticated connections and comment
+// authors. Used to resolve @mentions to user ids.
+class UserDirectory {
+  constructor() {
+    this.users = new Map(); // userId -> { id, username, name }
+    this.handles = new Map(); // lowercased handle -> userId
+  }
+
+  remember(userId, userInfo = {}) {
+    if (!userId) {
+      return;
+    }
+
+    // Keep what we already know when the new info is partial
+    const known = this.users.get(userId) || {};
+    const user = {
+      id: userId,
+      username: userInfo.username || userInfo.clientUserName || known.username || null,
+      name: userInfo.name || known.name || null
+    };
+    this.users.set(userId, user);
+
+    this.handles.set(this.normalizeHandle(userId), userId);
+    if (user.username) {
+      this.handles.set(this.normalizeHandle(user.username), userId);
+    }
+  }
+
+  get(userId) {
+    return this.users.get(userId) || null;
+  }
+
+  // Resolve "@handle" (without the @) by username or user id
+  findByHandle(handle) {
+    const userId = this.handles.get(this.normalizeHandle(handle));
+    return userId ? this.users.get(userId) : null;
+  }
+
+  normalizeHandle(handle) {
+    return String(handle).replace(/\s+/g, '').toLowerCase();
+  }
+}
+
+module.exports = UserDirectory;
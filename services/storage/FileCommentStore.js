@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryCommentStore = require('./MemoryCommentStore');
+const logger = require('../../utils/logger');
+
+// Durable adapter backed by a single JSON file. Reads are served from memory;
+// every write rewrites the file (temp file + rename) before resolving, and
+// concurrent writes are coalesced into one flush. Use saveBatch to write
+// several changes with a single rewrite.
+class FileCommentStore extends MemoryCommentStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.dirty = false;
+    this.flushing = null;
+  }
+
+  async init() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info(`No comment store found at ${this.filePath}, starting empty`);
+        return;
+      }
+      throw error;
+    }
+
+    await this.importState(JSON.parse(raw));
+    logger.info(`Loaded ${this.comments.size} comments from ${this.filePath}`);
+  }
+
+  async close() {
+    await this.flush();
+  }
+
+  async saveComment(comment) {
+    await super.saveComment(comment);
+    await this.flush();
+  }
+
+  async saveThread(thread) {
+    await super.saveThread(thread);
+    await this.flush();
+  }
+
+  async saveBatch(batch) {
+    await super.saveBatch(batch);
+    await this.flush();
+  }
+
+  async deleteComment(commentId) {
+    const deleted = await super.deleteComment(commentId);
+    if (deleted) {
+      await this.flush();
+    }
+    return deleted;
+  }
+
+  async importState(state) {
+    await super.importState(state);
+    await this.flush();
+  }
+
+  flush() {
+    this.dirty = true;
+    if (!this.flushing) {
+      this.flushing = this.writeLoop();
+    }
+    return this.flushing;
+  }
+
+  async writeLoop() {
+    try {
+      while (this.dirty) {
+        this.dirty = false;
+        const state = await this.exportState();
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify({ version: 1, ...state }));
+        await fs.promises.rename(tmpPath, this.filePath);
+      }
+    } finally {
+      this.flushing = null;
+    }
+  }
+}
+
+module.exports = FileCommentStore;
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+// Durable notification adapter. Each user's notifications live in their own
+// JSON file, so queries only ever load the calling user's data. Operations on
+// the same user are serialized to keep read-modify-write cycles consistent.
+class FileNotificationStore {
+  constructor(dirPath) {
+    this.dirPath = dirPath;
+    this.queues = new Map(); // userId -> tail of that user's operation chain
+  }
+
+  async init() {
+    await fs.promises.mkdir(this.dirPath, { recursive: true });
+    logger.info(`Notification store using ${this.dirPath}`);
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.queues.values()));
+  }
+
+  async saveNotification(notification) {
+    return this.withUser(notification.recipientId, (notifications) => {
+      const index = notifications.findIndex(n => n.id === notification.id);
+      if (index === -1) {
+        notifications.push(notification);
+      } else {
+        notifications[index] = notification;
+      }
+      return { changed: true };
+    });
+  }
+
+  async getNotification(userId, notificationId) {
+    return this.withUser(userId, (notifications) => ({
+      result: notifications.find(n => n.id === notificationId) || null
+    }));
+  }
+
+  async listNotifications(userId, { unreadOnly = false, limit = 50, offset = 0 } = {}) {
+    return this.withUser(userId, (notifications) => ({
+      result: notifications
+        .filter(notification => !unreadOnly || !notification.read)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(offset, offset + limit)
+    }));
+  }
+
+  // Marks one notification read in a single operation, so a concurrent delete
+  // can't be undone. Returns the notification, or null if the user has none
+  // with that id.
+  async markAsRead(userId, notificationId, readAt) {
+    return this.withUser(userId, (notifications) => {
+      const notification = notifications.find(n => n.id === notificationId);
+      if (!notification) {
+        return { result: null };
+      }
+      notification.read = true;
+      notification.readAt = readAt;
+      return { result: notification, changed: true };
+    });
+  }
+
+  async markAllAsRead(userId, readAt) {
+    return this.withUser(userId, (notifications) => {
+      let markedCount = 0;
+      notifications.forEach(notification => {
+        if (!notification.read) {
+          notification.read = true;
+          notification.readAt = readAt;
+          markedCount++;
+        }
+      });
+      return { result: markedCount, changed: markedCount > 0 };
+    });
+  }
+
+  async deleteNotification(userId, notificationId) {
+    return this.withUser(userId, (notifications) => {
+      const index = notifications.findIndex(n => n.id === notificationId);
+      if (index === -1) {
+        return { result: false };
+      }
+      notifications.splice(index, 1);
+      return { result: true, changed: true };
+    });
+  }
+
+  async getStats(userId) {
+    return this.withUser(userId, (notifications) => ({
+      result: {
+        total: notifications.length,
+        unread: notifications.filter(n => !n.read).length
+      }
+    }));
+  }
+
+  // Walks the user files one at a time rather than loading them all
+  async deleteOlderThan(cutoffDate) {
+    let deletedCount = 0;
+
+    for (const userId of await this.listUserIds()) {
+      deletedCount += await this.withUser(userId, (notifications) => {
+        const kept = notifications.filter(n => new Date(n.createdAt) >= cutoffDate);
+        const removed = notifications.length - kept.length;
+        notifications.splice(0, notifications.length, ...kept);
+        return { result: removed, changed: removed > 0 };
+      });
+    }
+
+    return deletedCount;
+  }
+
+  async exportState() {
+    const notifications = [];
+    for (const userId of await this.listUserIds()) {
+      notifications.push(...await this.withUser(userId, (list) => ({ result: list })));
+    }
+    return { notifications };
+  }
+
+  async importState(state) {
+    const byUser = new Map();
+    (state?.notifications || []).forEach(notification => {
+      if (!byUser.has(notification.recipientId)) {
+        byUser.set(notification.recipientId, []);
+      }
+      byUser.get(notification.recipientId).push(notification);
+    });
+
+    const userIds = new Set([...await this.listUserIds(), ...byUser.keys()]);
+    for (const userId of userIds) {
+      await this.withUser(userId, (list) => {
+        list.splice(0, list.length, ...(byUser.get(userId) || []));
+        return { changed: true };
+      });
+    }
+  }
+
+  async listUserIds() {
+    const files = await fs.promises.readdir(this.dirPath);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => decodeURIComponent(path.basename(file, '.json')));
+  }
+
+  getUserFile(userId) {
+    return path.join(this.dirPath, `${encodeURIComponent(userId)}.json`);
+  }
+
+  async readUser(userId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.getUserFile(userId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async writeUser(userId, notifications) {
+    const filePath = this.getUserFile(userId);
+    if (notifications.length === 0) {
+      await fs.promises.rm(filePath, { force: true });
+      return;
+    }
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(notifications));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  // Run fn against the user's notification list; persist it if fn reports a change
+  withUser(userId, fn) {
+    const previous = this.queues.get(userId) || Promise.resolve();
+    const operation = previous.then(async () => {
+      const notifications = await this.readUser(userId);
+      const { result, changed } = fn(notifications) || {};
+      if (changed) {
+        await this.writeUser(userId, notifications);
+      }
+      return result;
+    });
+
+    const tail = operation.catch(() => {}).then(() => {
+      if (this.queues.get(userId) === tail) {
+        this.queues.delete(userId);
+      }
+    });
+    this.queues.set(userId, tail);
+
+    return operation;
+  }
+}
+
+module.exports = FileNotificationStore;
@@ -0,0 +1,128 @@
+const { serializeComment, deserializeComment } = require('./serialization');
+
+// Default storage adapter. Keeps everything in process memory, so all data is
+// lost on restart. Other adapters extend this one and add persistence.
+class MemoryCommentStore {
+  constructor() {
+    this.comments = new Map();
+    this.threadComments = new Map(); // `${threadType}:${threadId}` -> Set of commentIds
+    this.annotationComments = new Map(); // annotationId -> Set of commentIds
+    this.threads = new Map(); // annotationId -> thread metadata (lock state, ...)
+  }
+
+  async init() {}
+
+  async close() {}
+
+  async getComment(commentId) {
+    return this.comments.get(commentId) || null;
+  }
+
+  async saveComment(comment) {
+    this.indexComment(comment);
+  }
+
+  async deleteComment(commentId) {
+    return this.removeComment(commentId);
+  }
+
+  removeComment(commentId) {
+    const comment = this.comments.get(commentId);
+    if (!comment) {
+      return false;
+    }
+
+    this.comments.delete(commentId);
+    this.threadComments.get(this.getThreadKey(comment))?.delete(commentId);
+    if (comment.annotationId) {
+      this.annotationComments.get(comment.annotationId)?.delete(commentId);
+    }
+    return true;
+  }
+
+  async listComments() {
+    return Array.from(this.comments.values());
+  }
+
+  async getCommentsByThreadKey(threadKey) {
+    return this.resolveIds(this.threadComments.get(threadKey));
+  }
+
+  async getCommentsByAnnotation(annotationId) {
+    return this.resolveIds(this.annotationComments.get(annotationId));
+  }
+
+  async getThread(annotationId) {
+    return this.threads.get(annotationId) || null;
+  }
+
+  async saveThread(thread) {
+    this.threads.set(thread.annotationId, thread);
+  }
+
+  // Save comments and threads and delete comments as one write. Durable
+  // adapters persist the whole batch at once.
+  async saveBatch({ comments = [], threads = [], deletedIds = [] }) {
+    comments.forEach(comment => this.indexComment(comment));
+    threads.forEach(thread => this.threads.set(thread.annotationId, thread));
+    deletedIds.forEach(commentId => this.removeComment(commentId));
+  }
+
+  async listThreads() {
+    return Array.from(this.threads.values());
+  }
+
+  // Plain JSON representation of the whole store
+  async exportState() {
+    return {
+      comments: Array.from(this.comments.values()).map(serializeComment),
+      threads: Array.from(this.threads.values())
+    };
+  }
+
+  async importState(state) {
+    this.comments.clear();
+    this.threadComments.clear();
+    this.annotationComments.clear();
+    this.threads.clear();
+
+    (state?.comments || []).forEach(data => {
+      this.indexComment(deserializeComment(data));
+    });
+    (state?.threads || []).forEach(thread => {
+      this.threads.set(thread.annotationId, thread);
+    });
+  }
+
+  getThreadKey(comment) {
+    return `${comment.threadType}:${comment.threadId}`;
+  }
+
+  indexComment(comment) {
+    this.comments.set(comment.id, comment);
+
+    const threadKey = this.getThreadKey(comment);
+    if (!this.threadComments.has(threadKey)) {
+      this.threadComments.set(threadKey, new Set());
+    }
+    this.threadComments.get(threadKey).add(comment.id);
+
+    if (comment.annotationId) {
+      if (!this.annotationComments.has(comment.annotationId)) {
+        this.annotationComments.set(comment.annotationId, new Set());
+      }
+      this.annotationComments.get(comment.annotationId).add(comment.id);
+    }
+  }
+
+  resolveIds(ids) {
+    if (!ids) {
+      return [];
+    }
+    return Array.from(ids)
+      .map(id => this.comments.get(id))
+      .filter(Boolean);
+  }
+}
+
+module.exports = MemoryCommentStore;
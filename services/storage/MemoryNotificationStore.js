@@ -0,0 +1,123 @@
+// Default notification storage adapter. Keeps everything in process memory,
+// so read state is lost on restart.
+class MemoryNotificationStore {
+  constructor() {
+    this.notifications = new Map();
+    this.userNotifications = new Map(); // userId -> Set of notificationIds
+  }
+
+  async init() {}
+
+  async close() {}
+
+  async saveNotification(notification) {
+    this.notifications.set(notification.id, notification);
+
+    if (!this.userNotifications.has(notification.recipientId)) {
+      this.userNotifications.set(notification.recipientId, new Set());
+    }
+    this.userNotifications.get(notification.recipientId).add(notification.id);
+  }
+
+  // Only returns the notification if it belongs to userId
+  async getNotification(userId, notificationId) {
+    const notification = this.notifications.get(notificationId);
+    if (!notification || notification.recipientId !== userId) {
+      return null;
+    }
+    return notification;
+  }
+
+  async listNotifications(userId, { unreadOnly = false, limit = 50, offset = 0 } = {}) {
+    return this.getUserNotifications(userId)
+      .filter(notification => !unreadOnly || !notification.read)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(offset, offset + limit);
+  }
+
+  // Returns the notification, or null if the user has none with that id
+  async markAsRead(userId, notificationId, readAt) {
+    const notification = await this.getNotification(userId, notificationId);
+    if (!notification) {
+      return null;
+    }
+    notification.read = true;
+    notification.readAt = readAt;
+    return notification;
+  }
+
+  async markAllAsRead(userId, readAt) {
+    let markedCount = 0;
+
+    this.getUserNotifications(userId).forEach(notification => {
+      if (!notification.read) {
+        notification.read = true;
+        notification.readAt = readAt;
+        markedCount++;
+      }
+    });
+
+    return markedCount;
+  }
+
+  async deleteNotification(userId, notificationId) {
+    const notification = await this.getNotification(userId, notificationId);
+    if (!notification) {
+      return false;
+    }
+
+    this.notifications.delete(notificationId);
+    this.userNotifications.get(userId)?.delete(notificationId);
+    return true;
+  }
+
+  async getStats(userId) {
+    const notifications = this.getUserNotifications(userId);
+    return {
+      total: notifications.length,
+      unread: notifications.filter(n => !n.read).length
+    };
+  }
+
+  async deleteOlderThan(cutoffDate) {
+    let deletedCount = 0;
+
+    this.notifications.forEach((notification, id) => {
+      if (new Date(notification.createdAt) < cutoffDate) {
+        this.notifications.delete(id);
+        this.userNotifications.get(notification.recipientId)?.delete(id);
+        deletedCount++;
+      }
+    });
+
+    return deletedCount;
+  }
+
+  // Plain JSON representation of the whole store
+  async exportState() {
+    return {
+      notifications: Array.from(this.notifications.values())
+    };
+  }
+
+  async importState(state) {
+    this.notifications.clear();
+    this.userNotifications.clear();
+
+    for (const notification of state?.notifications || []) {
+      await this.saveNotification(notification);
+    }
+  }
+
+  getUserNotifications(userId) {
+    const ids = this.userNotifications.get(userId);
+    if (!ids) {
+      return [];
+    }
+    return Array.from(ids)
+      .map(id => this.notifications.get(id))
+      .filter(Boolean);
+  }
+}
+
+module.exports = MemoryNotificationStore;
@@ -0,0 +1,44 @@
+const path = require('path');
+const MemoryCommentStore = require('./MemoryCommentStore');
+const FileCommentStore = require('./FileCommentStore');
+const MemoryNotificationStore = require('./MemoryNotificationStore');
+const FileNotificationStore = require('./FileNotificationStore');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+// Select the comment storage adapter from COMMENT_STORE (memory | file)
+function createCommentStore(type = process.env.COMMENT_STORE || 'memory') {
+  switch (type) {
+    case 'memory':
+      return new MemoryCommentStore();
+    case 'file':
+      return new FileCommentStore(
+        process.env.COMMENT_STORE_PATH || path.join(DEFAULT_DATA_DIR, 'comments.json')
+      );
+    default:
+      throw new Error(`Unknown COMMENT_STORE: ${type}`);
+  }
+}
+
+// Select the notification storage adapter from NOTIFICATION_STORE (memory | file)
+function createNotificationStore(type = process.env.NOTIFICATION_STORE || 'memory') {
+  switch (type) {
+    case 'memory':
+      return new MemoryNotificationStore();
+    case 'file':
+      return new FileNotificationStore(
+        process.env.NOTIFICATION_STORE_PATH || path.join(DEFAULT_DATA_DIR, 'notifications')
+      );
+    default:
+      throw new Error(`Unknown NOTIFICATION_STORE: ${type}`);
+  }
+}
+
+module.exports = {
+  createCommentStore,
+  createNotificationStore,
+  MemoryCommentStore,
+  FileCommentStore,
+  MemoryNotificationStore,
+  FileNotificationStore
+};
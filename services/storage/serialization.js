@@ -0,0 +1,65 @@
+// Reactions live in memory as { [emoji]: Map<userId, userInfo> } (older comments
+// may still hold a Set of user ids). On disk they are stored as
+// { [emoji]: [userInfo, ...] } so they survive JSON round-trips.
+
+function serializeReactions(reactions = {}) {
+  const serialized = {};
+
+  Object.keys(reactions).forEach(type => {
+    const entry = reactions[type];
+    let users = [];
+
+    if (entry instanceof Map) {
+      users = Array.from(entry.values());
+    } else if (entry instanceof Set) {
+      users = Array.from(entry).map(id => ({
+        id,
+        username: 'Unknown User',
+        displayName: 'Unknown User'
+      }));
+    } else if (Array.isArray(entry)) {
+      users = entry;
+    }
+
+    if (users.length > 0) {
+      serialized[type] = users;
+    }
+  });
+
+  return serialized;
+}
+
+function deserializeReactions(reactions = {}) {
+  const deserialized = {};
+
+  Object.keys(reactions).forEach(type => {
+    deserialized[type] = new Map(
+      reactions[type].map(user => [user.id, user])
+    );
+  });
+
+  return deserialized;
+}
+
+function serializeComment(comment) {
+  return {
+    ...comment,
+    reactions: serializeReactions(comment.reactions),
+    replies: [...comment.replies]
+  };
+}
+
+function deserializeComment(data) {
+  return {
+    ...data,
+    reactions: deserializeReactions(data.reactions),
+    replies: data.replies || []
+  };
+}
+
+module.exports = {
+  serializeReactions,
+  deserializeReactions,
+  serializeComment,
+  deserializeComment
+};
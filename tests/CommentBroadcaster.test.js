@@ -0,0 +1,69 @@
+const CommentBroadcaster = require('../services/CommentBroadcaster');
+
+function fakeIo() {
+  const emitted = [];
+  return {
+    emitted,
+    sockets: { adapter: { rooms: new Map() } },
+    to: room => ({ emit: (event, ...args) => emitted.push({ room, event, args }) })
+  };
+}
+
+describe('CommentBroadcaster history', () => {
+  let io;
+  let broadcaster;
+
+  beforeEach(() => {
+    io = fakeIo();
+    broadcaster = new CommentBroadcaster(io, {}, { historyLimit: 3, historyIdleMs: 1000 });
+  });
+
+  afterEach(() => clearInterval(broadcaster.evictTimer));
+
+  test('replays payloads as they were sent', () => {
+    const comment = { id: 'c1', content: 'original' };
+    broadcaster.emitToItem('item-1', 'comment_updated', { comment });
+    const { epoch } = broadcaster.getSyncBaseline('item-1');
+
+    comment.content = 'edited later';
+    const result = broadcaster.getMissedEvents('item-1', 0, epoch);
+
+    expect(result.reload).toBe(false);
+    expect(result.events).toEqual([
+      { seq: 1, event: 'comment_updated', payload: { comment: { id: 'c1', content: 'original' }, seq: 1 } }
+    ]);
+  });
+
+  test('asks for a reload once the gap is older than the history', () => {
+    for (let i = 0; i < 5; i++) {
+      broadcaster.emitToItem('item-1', 'tick', { i });
+    }
+    const { epoch } = broadcaster.getSyncBaseline('item-1');
+
+    expect(broadcaster.getMissedEvents('item-1', 1, epoch).reload).toBe(true);
+    expect(broadcaster.getMissedEvents('item-1', 2, epoch).events.map(e => e.seq)).toEqual([3, 4, 5]);
+  });
+
+  test('drops idle items and starts them over under a new epoch', () => {
+    broadcaster.emitToItem('item-1', 'tick', {});
+    const before = broadcaster.getSyncBaseline('item-1');
+
+    broadcaster.evictIdleItems(Date.now() + 1000);
+    expect(broadcaster.items.size).toBe(0);
+
+    broadcaster.emitToItem('item-1', 'tick', {});
+    const result = broadcaster.getMissedEvents('item-1', before.seq, before.epoch);
+    expect(result.epoch).not.toBe(before.epoch);
+    expect(result.reload).toBe(true);
+  });
+
+  test('keeps items that a socket is still viewing', () => {
+    broadcaster.emitToItem('item-1', 'tick', {});
+    broadcaster.emitToItem('item-2', 'tick', {});
+    io.sockets.adapter.rooms.set('item:item-1', new Set(['socket-1']));
+
+    broadcaster.evictIdleItems(Date.now() + 1000);
+
+    expect(Array.from(broadcaster.items.keys())).toEqual(['item-1']);
+  });
+});
@@ -0,0 +1,367 @@
+const CommentManager = require('../services/CommentManager');
+const { MemoryCommentStore } = require('../services/storage');
+
+const author = { id: 'author', name: 'Author' };
+const moderator = { id: 'mod', name: 'Mod', role: 'moderator' };
+
+async function createManager(options = {}) {
+  const manager = new CommentManager({ store: new MemoryCommentStore(), ...options });
+  await manager.init();
+  return manager;
+}
+
+function addComment(manager, fields = {}) {
+  return manager.createCommentWithAnnotation({ itemId: 'item-1', content: 'hello', user: author, ...fields });
+}
+
+function addReply(manager, parent, fields = {}) {
+  return addComment(manager, {
+    parentId: parent.id,
+    replyToAnnotationId: parent.annotationId,
+    isReply: true,
+    content: 'a reply',
+    ...fields
+  });
+}
+
+describe('CommentManager', () => {
+  let manager;
+
+  afterEach(() => manager.close());
+
+  describe('delete, restore and purge', () => {
+    beforeEach(async () => {
+      manager = await createManager({ deleteGraceMs: 60000 });
+    });
+
+    test('deleting keeps the content for restoring and cascades to replies', async () => {
+      const comment = await addComment(manager, { content: 'original' });
+      const reply = await addReply(manager, comment);
+
+      const deleted = await manager.deleteComment(comment.id, author.id);
+
+      expect(deleted.content).toBe('[Comment deleted]');
+      expect(deleted.deletion).toMatchObject({ deletedBy: author.id, content: 'original' });
+      const deletedReply = await manager.getComment(reply.id);
+      expect(deletedReply.isDeleted).toBe(true);
+      expect(deletedReply.deletion.cascadedFrom).toBe(comment.id);
+    });
+
+    test('restoring brings back the comment and its cascaded replies', async () => {
+      const comment = await addComment(manager, { content: 'original' });
+      const reply = await addReply(manager, comment, { content: 'reply text' });
+      await manager.deleteComment(comment.id, author.id);
+
+      const restored = await manager.restoreComment(comment.id, author.id);
+
+      expect(restored.map(c => [c.id, c.content, c.isDeleted])).toEqual([
+        [comment.id, 'original', false],
+        [reply.id, 'reply text', false]
+      ]);
+    });
+
+    test('a second delete is rejected and leaves the first one intact', async () => {
+      const comment = await addComment(manager, { content: 'original' });
+      const first = await manager.deleteComment(comment.id, author.id);
+      const { purgeAt } = first.deletion;
+
+      expect(await manager.deleteComment(comment.id, author.id)).toBeNull();
+      expect(await manager.deleteComment(comment.id, moderator.id, { moderator })).toBeNull();
+
+      expect((await manager.getComment(comment.id)).deletion.purgeAt).toBe(purgeAt);
+      const [restored] = await manager.restoreComment(comment.id, author.id);
+      expect(restored.content).toBe('original');
+    });
+
+    test('only the deleter or a moderator can restore', async () => {
+      const comment = await addComment(manager);
+      await manager.deleteComment(comment.id, author.id);
+
+      expect(await manager.restoreComment(comment.id, 'someone-else')).toBeNull();
+      expect(await manager.restoreComment(comment.id, moderator.id, { moderator })).toHaveLength(1);
+    });
+
+    test('cascaded replies cannot be restored on their own', async () => {
+      const comment = await addComment(manager);
+      const reply = await addReply(manager, comment);
+      await manager.deleteComment(comment.id, author.id);
+
+      expect(await manager.restoreComment(reply.id, author.id)).toBeNull();
+    });
+
+    test('purging removes comments past their grace period only', async () => {
+      const parent = await addComment(manager);
+      const expired = await addReply(manager, parent);
+      const recent = await addComment(manager);
+      await manager.deleteComment(expired.id, author.id);
+      await manager.deleteComment(recent.id, author.id);
+      (await manager.getComment(expired.id)).deletion.purgeAt = new Date(Date.now() - 1000).toISOString();
+
+      const purged = await manager.purgeDeletedComments();
+
+      expect(purged).toEqual([expired.id]);
+      expect(await manager.getComment(expired.id)).toBeFalsy();
+      expect((await manager.getComment(parent.id)).replies).toEqual([]);
+      expect((await manager.getComment(recent.id)).isDeleted).toBe(true);
+      expect(await manager.restoreComment(expired.id, author.id)).toBeNull();
+    });
+
+    test('a moderator deleting their own comment records the delete', async () => {
+      const comment = await addComment(manager, { user: moderator });
+
+      const result = await manager.moderateComment(comment.id, 'delete', moderator, 'spam');
+
+      expect(result.moderation).toMatchObject({ action: 'delete', by: moderator, reason: 'spam' });
+      expect(result.comment.moderation).toHaveLength(1);
+    });
+
+    test('a moderator restoring their own deleted comment records the restore', async () => {
+      const comment = await addComment(manager, { user: moderator });
+      await manager.deleteComment(comment.id, moderator.id);
+
+      const result = await manager.moderateComment(comment.id, 'restore', moderator, 'mistake');
+
+      expect(result.moderation).toMatchObject({ action: 'restore', by: moderator, reason: 'mistake' });
+      expect(result.comment.isDeleted).toBe(false);
+      expect(result.restored).toHaveLength(1);
+    });
+
+    test('history of a deleted comment is only for the deleter and moderators', async () => {
+      const comment = await addComment(manager, { content: 'original' });
+      await manager.updateComment(comment.id, 'edited', author.id);
+      const deleted = await manager.deleteComment(comment.id, author.id);
+
+      expect(manager.canViewHistory(deleted, author.id, null)).toBe(true);
+      expect(manager.canViewHistory(deleted, 'someone-else', null)).toBe(false);
+      expect(manager.canViewHistory(deleted, moderator.id, moderator)).toBe(true);
+    });
+  });
+
+  describe('thread status workflow', () => {
+    const ALLOWED = {
+      open: ['resolved', 'archived'],
+      resolved: ['reopened', 'archived'],
+      reopened: ['resolved', 'archived'],
+      archived: ['reopened']
+    };
+    // How to get a new thread into each status
+    const PATHS = {
+      open: [],
+      resolved: ['resolved'],
+      reopened: ['resolved', 'reopened'],
+      archived: ['archived']
+    };
+    const cases = [];
+    for (const from of Object.keys(ALLOWED)) {
+      for (const to of Object.keys(ALLOWED)) {
+        cases.push([from, to, ALLOWED[from].includes(to)]);
+      }
+    }
+
+    beforeEach(async () => {
+      manager = await createManager();
+    });
+
+    test.each(cases)('%s -> %s allowed: %s', async (from, to, allowed) => {
+      const comment = await addComment(manager);
+      for (const status of PATHS[from]) {
+        expect((await manager.updateCommentStatus(comment.annotationId, status, author)).thread).toBeDefined();
+      }
+
+      const result = await manager.updateCommentStatus(comment.annotationId, to, author);
+
+      if (allowed) {
+        expect(result.thread.status).toBe(to);
+      } else {
+        expect(result).toEqual({ error: `Cannot change status from ${from} to ${to}` });
+        expect((await manager.getThreadState(comment.annotationId)).status).toBe(from);
+      }
+    });
+
+    test('resolving records who resolved and reopening clears it', async () => {
+      const comment = await addComment(manager);
+      const reply = await addReply(manager, comment);
+
+      const resolved = await manager.updateCommentStatus(comment.annotationId, 'resolved', author);
+      expect(resolved.thread.resolvedBy).toEqual({ id: author.id, name: author.name });
+      expect(resolved.thread.resolvedAt).toEqual(expect.any(String));
+      expect((await manager.getComment(reply.id)).status).toBe('resolved');
+
+      const reopened = await manager.updateCommentStatus(comment.annotationId, 'reopened', author);
+      expect(reopened.thread).toMatchObject({ status: 'reopened', resolvedBy: null, resolvedAt: null });
+    });
+
+    test('unknown statuses from before the workflow count as open', async () => {
+      const comment = await addComment(manager);
+      (await manager.getComment(comment.id)).status = 'pending';
+
+      expect((await manager.getThreadState(comment.annotationId, 'pending')).status).toBe('open');
+      expect((await manager.updateCommentStatus(comment.annotationId, 'reopened', author)).error).toBeDefined();
+      expect((await manager.updateCommentStatus(comment.annotationId, 'resolved', author)).thread.status).toBe('resolved');
+    });
+
+    test('missing threads return null', async () => {
+      expect(await manager.updateCommentStatus('no-such-thread', 'resolved', author)).toBeNull();
+    });
+  });
+
+  describe('expectedVersion', () => {
+    beforeEach(async () => {
+      manager = await createManager();
+    });
+
+    test('comments start at version 1 and edits bump it', async () => {
+      const comment = await addComment(manager);
+      expect(comment.version).toBe(1);
+
+      const { comment: edited } = await manager.updateComment(comment.id, 'v2', author.id, { expectedVersion: 1 });
+      expect(edited.version).toBe(2);
+    });
+
+    test('a stale comment edit is rejected with the current comment', async () => {
+      const comment = await addComment(manager, { content: 'v1' });
+      await manager.updateComment(comment.id, 'theirs', moderator.id, { moderator, expectedVersion: 1 });
+
+      const result = await manager.updateComment(comment.id, 'mine', author.id, { expectedVersion: 1 });
+
+      expect(result.conflict).toMatchObject({ content: 'theirs', version: 2 });
+      const stored = await manager.getComment(comment.id);
+      expect(stored.content).toBe('theirs');
+      expect(stored.revisions).toHaveLength(1);
+    });
+
+    test('edits without expectedVersion still go through', async () => {
+      const comment = await addComment(manager);
+      await manager.updateComment(comment.id, 'v2', author.id);
+
+      expect((await manager.updateComment(comment.id, 'v3', author.id)).comment.version).toBe(3);
+    });
+
+    test('reactions and replies leave the comment version alone', async () => {
+      const comment = await addComment(manager);
+      await manager.addReaction(comment.annotationId, comment.id, '👍', author);
+      await addReply(manager, comment);
+
+      expect((await manager.updateComment(comment.id, 'v2', author.id, { expectedVersion: 1 })).comment).toBeDefined();
+    });
+
+    test('deleting and restoring bump the version', async () => {
+      const comment = await addComment(manager);
+      await manager.deleteComment(comment.id, author.id);
+      const [restored] = await manager.restoreComment(comment.id, author.id);
+
+      expect(restored.version).toBe(3);
+    });
+
+    test('a stale status change is rejected with the current thread state', async () => {
+      const comment = await addComment(manager);
+      const resolved = await manager.updateCommentStatus(comment.annotationId, 'resolved', author, { expectedVersion: 0 });
+      expect(resolved.thread.version).toBe(1);
+
+      const result = await manager.updateCommentStatus(comment.annotationId, 'archived', moderator, { expectedVersion: 0 });
+
+      expect(result.conflict).toMatchObject({ annotationId: comment.annotationId, status: 'resolved', version: 1 });
+      expect(result.conflict.readBy).toBeUndefined();
+      expect((await manager.getThreadState(comment.annotationId)).status).toBe('resolved');
+    });
+
+    test('locks and assignees bump the thread version', async () => {
+      const comment = await addComment(manager);
+      await manager.setThreadLock(comment.annotationId, true, moderator);
+      await manager.assignThread(comment.annotationId, 'reviewer', author);
+
+      expect((await manager.getThreadState(comment.annotationId)).version).toBe(2);
+      expect((await manager.updateCommentStatus(comment.annotationId, 'resolved', author, { expectedVersion: 1 })).conflict)
+        .toBeDefined();
+    });
+  });
+
+  describe('thread assignment', () => {
+    beforeEach(async () => {
+      manager = await createManager();
+    });
+
+    test('only the assigner, the assignee or a moderator can unassign', async () => {
+      const comment = await addComment(manager);
+      const { annotationId } = comment;
+      await manager.assignThread(annotationId, 'reviewer', author);
+      await manager.assignThread(annotationId, 'second', author);
+      await manager.assignThread(annotationId, 'third', author);
+
+      expect(await manager.unassignThread(annotationId, 'reviewer', 'stranger')).toEqual({ forbidden: true });
+      expect((await manager.unassignThread(annotationId, 'reviewer', author.id)).thread.assignees.map(a => a.id))
+        .toEqual(['second', 'third']);
+      expect((await manager.unassignThread(annotationId, 'second', 'second')).thread).toBeDefined();
+      expect((await manager.unassignThread(annotationId, 'third', moderator.id, { moderator })).thread.assignees)
+        .toEqual([]);
+      expect(await manager.unassignThread(annotationId, 'third', author.id)).toBeNull();
+    });
+  });
+
+  describe('clientMessageId deduplication', () => {
+    beforeEach(async () => {
+      manager = await createManager({ clientMessageTtlMs: 60000 });
+    });
+
+    // A create that takes a while, like a slow store write
+    const slowCreate = (content, clientMessageId) => async () => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return addComment(manager, { content, clientMessageId });
+    };
+
+    test('concurrent retries create one comment and all get it back', async () => {
+      const results = await Promise.all(
+        [1, 2, 3, 4, 5].map(attempt =>
+          manager.createOnce(author.id, 'msg-1', slowCreate(`attempt ${attempt}`, 'msg-1'))
+        )
+      );
+
+      const ids = new Set(results.map(r => r.comment.id));
+      expect(ids.size).toBe(1);
+      expect(results.filter(r => r.duplicate)).toHaveLength(4);
+      expect((await manager.getCommentThreads('item-1')).length).toBe(1);
+    });
+
+    test('the same id from another user is a different message', async () => {
+      const [mine, theirs] = await Promise.all([
+        manager.createOnce(author.id, 'msg-1', slowCreate('mine', 'msg-1')),
+        manager.createOnce('someone-else', 'msg-1', slowCreate('theirs', 'msg-1'))
+      ]);
+
+      expect(mine.comment.id).not.toBe(theirs.comment.id);
+      expect([mine.duplicate, theirs.duplicate]).toEqual([false, false]);
+    });
+
+    test('a failed attempt lets the retry create the comment', async () => {
+      const failing = async () => {
+        throw new Error('store unavailable');
+      };
+      await expect(manager.createOnce(author.id, 'msg-1', failing)).rejects.toThrow('store unavailable');
+
+      const retry = await manager.createOnce(author.id, 'msg-1', slowCreate('retry', 'msg-1'));
+      expect(retry).toMatchObject({ duplicate: false, comment: { content: 'retry' } });
+    });
+
+    test('ids are forgotten after the TTL', async () => {
+      manager.clientMessageTtlMs = 1;
+      const first = await manager.createOnce(author.id, 'msg-1', slowCreate('first', 'msg-1'));
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      const second = await manager.createOnce(author.id, 'msg-1', slowCreate('second', 'msg-1'));
+      expect(second.duplicate).toBe(false);
+      expect(second.comment.id).not.toBe(first.comment.id);
+    });
+
+    test('ids survive a restart through the stored comments', async () => {
+      const first = await manager.createOnce(author.id, 'msg-1', slowCreate('first', 'msg-1'));
+      const state = await manager.exportState();
+
+      const restarted = await createManager({ clientMessageTtlMs: 60000 });
+      await restarted.importState(state);
+      const retry = await restarted.createOnce(author.id, 'msg-1', slowCreate('again', 'msg-1'));
+      await restarted.close();
+
+      expect(retry).toMatchObject({ duplicate: true, comment: { id: first.comment.id } });
+    });
+  });
+});
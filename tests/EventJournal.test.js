@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventJournal = require('../services/EventJournal');
+const CommentManager = require('../services/CommentManager');
+const { MemoryCommentStore } = require('../services/storage');
+
+const user = { id: 'author', name: 'Author' };
+
+describe('EventJournal', () => {
+  let dir;
+  let open;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'journal-test-'));
+    open = [];
+  });
+
+  afterEach(async () => {
+    for (const { journal, manager } of open) {
+      clearInterval(journal.timer);
+      await journal.handle.close().catch(() => {});
+      await manager.close();
+    }
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  // Boot a manager from whatever the journal directory holds, as server.js does
+  async function boot(options = {}) {
+    const journal = new EventJournal({ dir, compactThreshold: 1000, ...options });
+    const manager = new CommentManager({ store: new MemoryCommentStore(), journal });
+    open.push({ journal, manager });
+    await manager.init();
+    await journal.init();
+    await journal.replay({ comments: manager });
+    return { journal, manager };
+  }
+
+  const journalPath = () => path.join(dir, 'journal.log');
+  const snapshotPath = () => path.join(dir, 'snapshot.json');
+
+  test('replays journaled mutations after a crash', async () => {
+    const first = await boot();
+    const comment = await first.manager.createCommentWithAnnotation({ itemId: 'item-1', content: 'original', user });
+    await first.manager.updateComment(comment.id, 'edited', user.id);
+
+    const second = await boot();
+
+    const restored = await second.manager.getComment(comment.id);
+    expect(restored.content).toBe('edited');
+    expect(restored.revisions.map(r => r.content)).toEqual(['original']);
+    expect(second.journal.seq).toBe(first.journal.seq);
+  });
+
+  test('drops a torn final line and keeps appending after the last good entry', async () => {
+    const first = await boot();
+    const comment = await first.manager.createCommentWithAnnotation({ itemId: 'item-1', content: 'kept', user });
+    const goodLength = (await fs.promises.stat(journalPath())).size;
+    await fs.promises.appendFile(journalPath(), '{"seq":2,"scope":"comm');
+
+    const second = await boot();
+    expect((await fs.promises.stat(journalPath())).size).toBe(goodLength);
+    expect((await second.manager.getComment(comment.id)).content).toBe('kept');
+
+    const later = await second.manager.createCommentWithAnnotation({ itemId: 'item-1', content: 'later', user });
+    const third = await boot();
+    expect((await third.manager.getComment(later.id)).content).toBe('later');
+  });
+
+  test('refuses to replay a journal corrupted before its last line', async () => {
+    const first = await boot();
+    await first.manager.createCommentWithAnnotation({ itemId: 'item-1', content: 'one', user });
+    const entries = await fs.promises.readFile(journalPath(), 'utf8');
+    await fs.promises.writeFile(journalPath(), `not json\n${entries}`);
+
+    await expect(boot()).rejects.toThrow('Corrupt journal entry at line 1');
+  });
+
+  test('compaction snapshots the state, empties the journal and replays the tail on top', async () => {
+    const first = await boot();
+    const comment = await first.manager.createCommentWithAnnotation({ itemId: 'item-1', content: 'before', user });
+    await first.journal.compact();
+
+    expect((await fs.promises.stat(journalPath())).size).toBe(0);
+    const snapshot = JSON.parse(await fs.promises.readFile(snapshotPath(), 'utf8'));
+    expect(snapshot.seq).toBe(first.journal.seq);
+
+    await first.manager.updateComment(comment.id, 'after', user.id);
+
+    const second = await boot();
+    expect((await second.manager.getComment(comment.id)).content).toBe('after');
+    expect(second.journal.seq).toBe(snapshot.seq + 1);
+  });
+
+  test('compacts on its own once the threshold is reached', async () => {
+    const first = await boot({ compactThreshold: 2 });
+    await first.manager.createCommentWithAnnotation({ itemId: 'item-1', content: 'one', user });
+    await first.manager.createCommentWithAnnotation({ itemId: 'item-1', content: 'two', user });
+    await first.journal.queue;
+
+    expect((await fs.promises.stat(journalPath())).size).toBe(0);
+    const second = await boot();
+    expect((await second.manager.getCommentThreads('item-1')).map(t => t.comments[0].content).sort())
+      .toEqual(['one', 'two']);
+  });
+
+  test('a failed append leaves the store unchanged', async () => {
+    const first = await boot();
+    jest.spyOn(first.journal.handle, 'write').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(first.manager.createCommentWithAnnotation({ itemId: 'item-1', content: 'lost', user }))
+      .rejects.toThrow('disk full');
+
+    expect(await first.manager.getCommentThreads('item-1')).toEqual([]);
+  });
+
+  test('a compaction right after an append includes the appended change', async () => {
+    const first = await boot({ compactThreshold: 1 });
+    const comment = await first.manager.createCommentWithAnnotation({ itemId: 'item-1', content: 'one', user });
+    await first.journal.queue;
+
+    const snapshot = JSON.parse(await fs.promises.readFile(snapshotPath(), 'utf8'));
+    expect(snapshot.state.comments.comments.map(c => c.id)).toEqual([comment.id]);
+  });
+});
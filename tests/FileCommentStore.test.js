@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommentManager = require('../services/CommentManager');
+const { FileCommentStore } = require('../services/storage');
+
+const author = { id: 'author', name: 'Author' };
+const reader = { id: 'reader', name: 'Reader' };
+
+describe('FileCommentStore', () => {
+  let dir;
+  let open;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'comment-store-test-'));
+    open = [];
+  });
+
+  afterEach(async () => {
+    for (const manager of open) {
+      await manager.close();
+    }
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  const storePath = () => path.join(dir, 'comments.json');
+
+  async function boot() {
+    const store = new FileCommentStore(storePath());
+    const manager = new CommentManager({ store });
+    open.push(manager);
+    await manager.init();
+    return { store, manager };
+  }
+
+  function addComment(manager, fields = {}) {
+    return manager.createCommentWithAnnotation({ itemId: 'item-1', content: 'hello', user: author, ...fields });
+  }
+
+  test('comments, reactions and threads survive a restart', async () => {
+    const first = await boot();
+    const comment = await addComment(first.manager, { content: 'original' });
+    await addComment(first.manager, {
+      parentId: comment.id,
+      replyToAnnotationId: comment.annotationId,
+      isReply: true,
+      content: 'a reply'
+    });
+    await first.manager.addReaction(null, comment.id, '👍', reader);
+    await first.manager.assignThread(comment.annotationId, 'reviewer', author);
+    await first.manager.close();
+
+    const second = await boot();
+    const restored = await second.manager.getComment(comment.id);
+
+    expect(restored.content).toBe('original');
+    expect(restored.replies).toHaveLength(1);
+    expect(restored.reactions['👍']).toBeInstanceOf(Map);
+    expect(restored.reactions['👍'].get('reader')).toMatchObject({ id: 'reader' });
+    expect((await second.manager.getThreadState(comment.annotationId)).assignees.map(a => a.id))
+      .toEqual(['reviewer']);
+
+    const onDisk = JSON.parse(await fs.promises.readFile(storePath(), 'utf8'));
+    const saved = onDisk.comments.find(c => c.id === comment.id);
+    expect(saved.reactions['👍']).toEqual([expect.objectContaining({ id: 'reader' })]);
+  });
+
+  test('a change to several comments rewrites the file once', async () => {
+    const { store, manager } = await boot();
+    const comment = await addComment(manager);
+    for (let i = 0; i < 3; i++) {
+      await addComment(manager, {
+        parentId: comment.id,
+        replyToAnnotationId: comment.annotationId,
+        isReply: true,
+        content: `reply ${i}`
+      });
+    }
+
+    const writeLoop = jest.spyOn(store, 'writeLoop');
+    await manager.deleteComment(comment.id, author.id);
+
+    expect(writeLoop).toHaveBeenCalledTimes(1);
+    const onDisk = JSON.parse(await fs.promises.readFile(storePath(), 'utf8'));
+    expect(onDisk.comments.filter(c => c.isDeleted)).toHaveLength(4);
+  });
+});
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const AuthMiddleware = require('../middleware/auth');
+
+const payload = { user: { id: 'alice', name: 'Alice' } };
+
+const base64url = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const unsignedToken = `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(payload)}.`;
+
+function socketWith(auth = {}) {
+  return { id: 'socket-1', handshake: { auth, query: {}, address: '127.0.0.1' } };
+}
+
+// Run socketAuth and resolve with the error passed to next, if any
+function authenticateSocket(auth, socket) {
+  return new Promise(resolve => auth.socketAuth(socket, resolve));
+}
+
+function authenticateRequest(auth, authorization) {
+  const req = { headers: authorization ? { authorization } : {}, ip: '127.0.0.1' };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  const next = jest.fn();
+  auth.httpAuth(req, res, next);
+  return { req, res, next };
+}
+
+describe('AuthMiddleware', () => {
+  describe('hs256', () => {
+    const auth = new AuthMiddleware({ mode: 'hs256', jwtSecret: 'right-secret' });
+
+    test('accepts a token signed with the secret', () => {
+      const token = jwt.sign(payload, 'right-secret');
+
+      expect(auth.getIdentity(auth.verifyToken(token)).userId).toBe('alice');
+    });
+
+    test('rejects a token signed with another secret', () => {
+      const token = jwt.sign(payload, 'wrong-secret');
+
+      expect(() => auth.verifyToken(token)).toThrow(jwt.JsonWebTokenError);
+    });
+
+    test('rejects an unsigned alg: none token', () => {
+      expect(() => auth.verifyToken(unsignedToken)).toThrow(jwt.JsonWebTokenError);
+    });
+
+    test('rejects sockets without a token', async () => {
+      const socket = socketWith({ user: { id: 'alice' } });
+
+      const error = await authenticateSocket(auth, socket);
+
+      expect(error.message).toBe('Authentication required');
+      expect(socket.userId).toBeUndefined();
+    });
+
+    test('rejects sockets with an invalid token', async () => {
+      const error = await authenticateSocket(auth, socketWith({ token: jwt.sign(payload, 'wrong-secret') }));
+
+      expect(error.message).toBe('Invalid token');
+    });
+
+    test('httpAuth answers 401 without a valid token', () => {
+      const missing = authenticateRequest(auth);
+      expect(missing.res.statusCode).toBe(401);
+      expect(missing.next).not.toHaveBeenCalled();
+
+      const invalid = authenticateRequest(auth, `Bearer ${unsignedToken}`);
+      expect(invalid.res).toMatchObject({ statusCode: 401, body: { error: 'Invalid token' } });
+      expect(invalid.next).not.toHaveBeenCalled();
+    });
+
+    test('httpAuth attaches the identity of a valid token', () => {
+      const { req, next } = authenticateRequest(auth, `Bearer ${jwt.sign(payload, 'right-secret')}`);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.userId).toBe('alice');
+    });
+  });
+
+  describe('rs256', () => {
+    let dir;
+    let signingKey;
+    let otherKey;
+
+    beforeAll(async () => {
+      dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'auth-test-'));
+      signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    });
+
+    afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    const sign = (key, options = {}) => jwt.sign(payload, key.privateKey, { algorithm: 'RS256', ...options });
+
+    test('verifies tokens against a PEM public key', async () => {
+      const publicKeyFile = path.join(dir, 'public.pem');
+      await fs.promises.writeFile(publicKeyFile, signingKey.publicKey.export({ type: 'spki', format: 'pem' }));
+      const auth = new AuthMiddleware({ mode: 'rs256', publicKeyFile });
+
+      expect(auth.verifyToken(sign(signingKey)).user.id).toBe('alice');
+      expect(() => auth.verifyToken(sign(otherKey))).toThrow(jwt.JsonWebTokenError);
+      expect(() => auth.verifyToken(jwt.sign(payload, 'shared-secret'))).toThrow(jwt.JsonWebTokenError);
+    });
+
+    test('picks the JWKS key matching the token kid', async () => {
+      const jwksFile = path.join(dir, 'jwks.json');
+      await fs.promises.writeFile(jwksFile, JSON.stringify({
+        keys: [
+          { ...signingKey.publicKey.export({ format: 'jwk' }), kid: 'current', use: 'sig' },
+          { ...otherKey.publicKey.export({ format: 'jwk' }), kid: 'previous', use: 'sig' }
+        ]
+      }));
+      const auth = new AuthMiddleware({ mode: 'rs256', jwksFile });
+
+      expect(auth.verifyToken(sign(signingKey, { keyid: 'current' })).user.id).toBe('alice');
+      expect(auth.verifyToken(sign(otherKey, { keyid: 'previous' })).user.id).toBe('alice');
+      expect(() => auth.verifyToken(sign(otherKey, { keyid: 'current' }))).toThrow(jwt.JsonWebTokenError);
+      expect(() => auth.verifyToken(sign(signingKey, { keyid: 'unknown' }))).toThrow('No matching key for token');
+      expect(() => auth.verifyToken(sign(signingKey))).toThrow('No matching key for token');
+    });
+  });
+
+  describe('none', () => {
+    const auth = new AuthMiddleware({ mode: 'none' });
+
+    test('sockets may identify themselves with a handshake user', async () => {
+      const socket = socketWith({ user: { id: 'alice', name: 'Alice' } });
+
+      expect(await authenticateSocket(auth, socket)).toBeUndefined();
+      expect(socket.userId).toBe('alice');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { startServer, call } = require('./helpers/server');
+
+function nextEvent(socket, event) {
+  return new Promise(resolve => socket.once(event, resolve));
+}
+
+describe('comment broadcasts', () => {
+  let server;
+  let author;
+  let moderator;
+  let viewer;
+
+  beforeAll(async () => {
+    server = await startServer();
+    author = await server.connect({ id: 'author', name: 'Author' });
+    moderator = await server.connect({ id: 'mod', name: 'Mod', role: 'moderator' });
+    viewer = await server.connect({ id: 'viewer', name: 'Viewer' });
+  }, 15000);
+
+  afterAll(() => server.stop());
+
+  test('comment_added carries formatted comments', async () => {
+    const itemId = 'broadcast-item';
+    await call(viewer, 'get_comment_threads', { itemId });
+
+    const created = await call(author, 'add_comment', { itemId, content: 'original' });
+    const parent = created.data.comment;
+    await call(author, 'update_comment', { commentId: parent.id, content: 'secret v2' });
+    await call(author, 'add_reaction', { annotationId: parent.annotationId, commentId: parent.id, reaction: '👍' });
+    await call(moderator, 'moderate_comment', { commentId: parent.id, action: 'hide' });
+
+    const broadcast = nextEvent(viewer, 'comment_added');
+    const reply = await call(author, 'add_comment', {
+      annotationId: parent.annotationId,
+      parentCommentId: parent.id,
+      isReply: true,
+      content: 'a reply'
+    });
+    const payload = await broadcast;
+
+    expect(reply.ok).toBe(true);
+    for (const sent of [payload, reply.data]) {
+      expect(JSON.stringify(sent)).not.toContain('secret v2');
+      expect(sent.parentComment.content).toBe('[Comment hidden by moderator]');
+      expect(sent.parentComment.revisions).toBeUndefined();
+      expect(sent.parentComment.revisionCount).toBe(1);
+      expect(sent.parentComment.reactions).toEqual([
+        expect.objectContaining({ type: '👍', count: 1 })
+      ]);
+      expect(sent.comment.content).toBe('a reply');
+    }
+  });
+});
+
+describe('moderation broadcasts', () => {
+  let server;
+  let moderator;
+  let viewer;
+
+  beforeAll(async () => {
+    server = await startServer();
+    moderator = await server.connect({ id: 'mod', name: 'Mod', role: 'moderator' });
+    viewer = await server.connect({ id: 'viewer', name: 'Viewer' });
+  }, 15000);
+
+  afterAll(() => server.stop());
+
+  test('a moderator deleting their own comment is broadcast as a delete', async () => {
+    const itemId = 'moderation-item';
+    await call(viewer, 'get_comment_threads', { itemId });
+    const created = await call(moderator, 'add_comment', { itemId, content: 'mine' });
+    const { id } = created.data.comment;
+    await call(moderator, 'moderate_comment', { commentId: id, action: 'hide' });
+    await call(moderator, 'moderate_comment', { commentId: id, action: 'restore' });
+
+    const moderated = nextEvent(viewer, 'comment_moderated');
+    const response = await call(moderator, 'moderate_comment', { commentId: id, action: 'delete', reason: 'dupe' });
+
+    expect(response.ok).toBe(true);
+    expect(response.data.moderation).toMatchObject({ action: 'delete', reason: 'dupe', by: { id: 'mod' } });
+    expect((await moderated).action).toBe('delete');
+  });
+
+  test('a moderator restoring their own deleted comment is broadcast as a restore', async () => {
+    const itemId = 'moderation-restore-item';
+    await call(viewer, 'get_comment_threads', { itemId });
+    const created = await call(moderator, 'add_comment', { itemId, content: 'mine' });
+    const { id } = created.data.comment;
+    await call(moderator, 'delete_comment', { commentId: id });
+
+    const restoredEvent = nextEvent(viewer, 'comment_restored');
+    const moderated = nextEvent(viewer, 'comment_moderated');
+    const response = await call(moderator, 'moderate_comment', { commentId: id, action: 'restore' });
+
+    expect(response.ok).toBe(true);
+    expect(response.data.moderation).toMatchObject({ action: 'restore', by: { id: 'mod' } });
+    await restoredEvent;
+    expect((await moderated).action).toBe('restore');
+  });
+});
+
+describe('thread broadcasts', () => {
+  let server;
+  let author;
+  let viewer;
+
+  beforeAll(async () => {
+    server = await startServer();
+    author = await server.connect({ id: 'author', name: 'Author' });
+    viewer = await server.connect({ id: 'viewer', name: 'Viewer' });
+  }, 15000);
+
+  afterAll(() => server.stop());
+
+  test('only the changed thread is broadcast', async () => {
+    const itemId = 'thread-item';
+    const other = await call(author, 'add_comment', { itemId, content: 'another thread' });
+    const created = await call(author, 'add_comment', { itemId, content: 'hello' });
+    const { annotationId } = created.data.comment;
+    await call(viewer, 'get_comment_threads', { itemId });
+
+    const afterAdd = nextEvent(viewer, 'comment_threads_updated');
+    const added = nextEvent(viewer, 'comment_added');
+    const third = await call(author, 'add_comment', { itemId, content: 'a third thread' });
+    expect((await added).thread.comments).toHaveLength(1);
+    const addPayload = await afterAdd;
+    expect(addPayload.partial).toBe(true);
+    expect(addPayload.threads.map(t => t.annotationId)).toEqual([third.data.comment.annotationId]);
+
+    const afterAssign = nextEvent(viewer, 'comment_threads_updated');
+    await call(author, 'assign_thread', { annotationId, assigneeId: 'viewer' });
+    const payload = await afterAssign;
+
+    expect(payload.partial).toBe(true);
+    expect(payload.threads).toHaveLength(1);
+    expect(payload.threads[0].annotationId).toBe(annotationId);
+    expect(payload.threads[0].assignees.map(a => a.id)).toEqual(['viewer']);
+    expect(JSON.stringify(payload)).not.toContain(other.data.comment.annotationId);
+  });
+
+});
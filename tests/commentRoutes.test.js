@@ -0,0 +1,114 @@
+const request = require('supertest');
+const { startServer, tokenFor } = require('./helpers/server');
+
+const author = tokenFor({ id: 'author', name: 'Author' });
+const admin = tokenFor({ id: 'admin', name: 'Admin', role: 'admin' });
+
+describe('comment routes', () => {
+  let server;
+  let api;
+
+  beforeAll(async () => {
+    server = await startServer();
+    api = request(server.url);
+  }, 15000);
+
+  afterAll(() => server.stop());
+
+  function expectFormatted(comment) {
+    expect(comment.revisions).toBeUndefined();
+    expect(Array.isArray(comment.reactions)).toBe(true);
+    expect(typeof comment.revisionCount).toBe('number');
+  }
+
+  test('create, edit and revert respond with formatted comments', async () => {
+    const created = await api
+      .post('/api/items/routes-item/comments')
+      .set('Authorization', author)
+      .send({ content: 'original' })
+      .expect(201);
+    expectFormatted(created.body.comment);
+    const { id } = created.body.comment;
+
+    await api
+      .post(`/api/comments/${id}/reactions`)
+      .set('Authorization', author)
+      .send({ reaction: '👍' })
+      .expect(200);
+
+    const edited = await api
+      .patch(`/api/comments/${id}`)
+      .set('Authorization', author)
+      .send({ content: 'edited' })
+      .expect(200);
+    expectFormatted(edited.body.comment);
+    expect(edited.body.comment.reactions).toEqual([expect.objectContaining({ type: '👍', count: 1 })]);
+    expect(edited.body.comment.revisionCount).toBe(1);
+
+    const reverted = await api
+      .post(`/api/comments/${id}/revert`)
+      .set('Authorization', admin)
+      .send({ revision: 1 })
+      .expect(200);
+    expectFormatted(reverted.body.comment);
+    expect(reverted.body.comment.content).toBe('original');
+  });
+
+  test('a stale expectedVersion gets a 409 with the current comment', async () => {
+    const created = await api
+      .post('/api/items/routes-item/comments')
+      .set('Authorization', author)
+      .send({ content: 'v1' })
+      .expect(201);
+    const { id } = created.body.comment;
+    await api.patch(`/api/comments/${id}`).set('Authorization', author).send({ content: 'v2', expectedVersion: 1 }).expect(200);
+
+    const stale = await api
+      .patch(`/api/comments/${id}`)
+      .set('Authorization', author)
+      .send({ content: 'stale', expectedVersion: 1 })
+      .expect(409);
+
+    expect(stale.body.current).toMatchObject({ content: 'v2', version: 2 });
+    expect(stale.body.current.revisions).toBeUndefined();
+  });
+
+  test('deleted comments never send their content', async () => {
+    const created = await api
+      .post('/api/items/routes-item/comments')
+      .set('Authorization', author)
+      .send({ content: 'to be deleted' })
+      .expect(201);
+    const { id } = created.body.comment;
+
+    const deleted = await api.delete(`/api/comments/${id}`).set('Authorization', author).expect(200);
+    expect(JSON.stringify(deleted.body)).not.toContain('to be deleted');
+
+    await api.delete(`/api/comments/${id}`).set('Authorization', author).expect(404);
+    await api.get(`/api/comments/${id}/history`).set('Authorization', tokenFor({ id: 'other' })).expect(404);
+  });
+
+  test('only the assigner, the assignee or a moderator can remove an assignee', async () => {
+    const created = await api
+      .post('/api/items/routes-item/comments')
+      .set('Authorization', author)
+      .send({ content: 'needs review' })
+      .expect(201);
+    const { annotationId } = created.body.comment;
+    await api
+      .post(`/api/threads/${annotationId}/assignees`)
+      .set('Authorization', author)
+      .send({ userId: 'reviewer' })
+      .expect(200);
+
+    await api
+      .delete(`/api/threads/${annotationId}/assignees/reviewer`)
+      .set('Authorization', tokenFor({ id: 'other' }))
+      .expect(403);
+    const removed = await api
+      .delete(`/api/threads/${annotationId}/assignees/reviewer`)
+      .set('Authorization', tokenFor({ id: 'reviewer' }))
+      .expect(200);
+    expect(removed.body.assignees).toEqual([]);
+  });
+});
@@ -0,0 +1,92 @@
+// Runs server.js in a child process on a free port, for tests that talk to it
+// over Socket.IO or HTTP. The server exits on uncaught errors, so tests can
+// also check that it is still running.
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const ioClient = require('socket.io-client');
+
+// Secret the test tokens are signed with; start the server with it as
+// JWT_SECRET to run under AUTH_MODE=hs256
+const TEST_SECRET = 'test-secret';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env = {}) {
+  const port = await freePort();
+  const url = `http://localhost:${port}`;
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..', '..'),
+    env: { ...process.env, NODE_ENV: 'test', LOG_LEVEL: 'error', AUTH_MODE: 'none', PORT: String(port), ...env },
+    stdio: 'ignore'
+  });
+
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}`);
+    }
+    try {
+      await fetch(`${url}/health`);
+      break;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  const sockets = [];
+  return {
+    url,
+    child,
+    isRunning: () => child.exitCode === null && child.signalCode === null,
+    // Connect as user via the handshake payload (AUTH_MODE=none), or with
+    // options.token, a JWT from socketToken
+    connect(user, options = {}) {
+      return new Promise((resolve, reject) => {
+        const auth = options.token ? { user, token: options.token } : { user };
+        const socket = ioClient(url, { auth, transports: ['websocket'], reconnection: false });
+        sockets.push(socket);
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+      });
+    },
+    stop() {
+      sockets.forEach(socket => socket.close());
+      if (child.exitCode !== null || child.signalCode !== null) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill('SIGTERM');
+      });
+    }
+  };
+}
+
+// JWT signed with TEST_SECRET, for sockets and service connections
+function socketToken(payload) {
+  return jwt.sign(payload, TEST_SECRET);
+}
+
+// Bearer token for HTTP requests. AUTH_MODE=none decodes without verifying.
+function tokenFor(user) {
+  return `Bearer ${socketToken({ user })}`;
+}
+
+// Emit an event and resolve with the ack response
+function call(socket, event, ...args) {
+  return new Promise(resolve => socket.emit(event, ...args, resolve));
+}
+
+module.exports = { startServer, call, tokenFor, socketToken, TEST_SECRET };
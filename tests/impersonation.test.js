@@ -0,0 +1,65 @@
+const { startServer, call, socketToken, TEST_SECRET } = require('./helpers/server');
+
+const victim = { id: 'victim', name: 'Victim' };
+
+describe('acting on behalf of payload users', () => {
+  let server;
+  let owner;
+  let attacker;
+  let service;
+  let unprivilegedService;
+
+  beforeAll(async () => {
+    server = await startServer({ AUTH_MODE: 'hs256', JWT_SECRET: TEST_SECRET });
+    owner = await server.connect(undefined, { token: socketToken({ user: victim }) });
+    attacker = await server.connect(undefined, { token: socketToken({ user: { id: 'mallory', name: 'Mallory' } }) });
+    service = await server.connect(undefined, {
+      token: socketToken({ service: 'main-app', permissions: ['impersonate'] })
+    });
+    unprivilegedService = await server.connect(undefined, {
+      token: socketToken({ service: 'reporting', permissions: [] })
+    });
+  }, 15000);
+
+  afterAll(() => server.stop());
+
+  async function victimComment(content) {
+    const created = await call(owner, 'add_comment', { itemId: 'impersonation-item', content });
+    return created.data.comment;
+  }
+
+  test('a user socket cannot act as the user in its payload', async () => {
+    const comment = await victimComment('mine');
+
+    const updated = await call(attacker, 'update_comment', { commentId: comment.id, content: 'hacked', user: victim });
+    const deleted = await call(attacker, 'delete_comment', { commentId: comment.id, user: victim });
+
+    expect(updated).toMatchObject({ ok: false, code: 'FORBIDDEN' });
+    expect(deleted).toMatchObject({ ok: false, code: 'FORBIDDEN' });
+    const history = await call(owner, 'get_comment_history', { commentId: comment.id });
+    expect(history.data.content).toBe('mine');
+  });
+
+  test('a service without the impersonate permission cannot act as a user', async () => {
+    const comment = await victimComment('mine');
+
+    const updated = await call(unprivilegedService, 'update_comment', {
+      commentId: comment.id,
+      content: 'changed',
+      user: victim
+    });
+
+    expect(updated).toMatchObject({ ok: false, code: 'FORBIDDEN' });
+  });
+
+  test('a service with the impersonate permission acts as the payload user', async () => {
+    const comment = await victimComment('mine');
+
+    const updated = await call(service, 'update_comment', { commentId: comment.id, content: 'edited', user: victim });
+    const deleted = await call(service, 'delete_comment', { commentId: comment.id, user: victim });
+
+    expect(updated).toMatchObject({ ok: true, data: { content: 'edited' } });
+    expect(updated.data.moderation || []).toEqual([]);
+    expect(deleted).toMatchObject({ ok: true, data: { isDeleted: true, deletion: { deletedBy: 'victim' } } });
+  });
+});
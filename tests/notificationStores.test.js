@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NotificationManager = require('../services/NotificationManager');
+const { MemoryNotificationStore, FileNotificationStore } = require('../services/storage');
+
+describe('notification stores', () => {
+  let dir;
+  let open;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'notification-store-test-'));
+    open = [];
+  });
+
+  afterEach(async () => {
+    for (const manager of open) {
+      await manager.close();
+    }
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  async function boot(store) {
+    const manager = new NotificationManager({ store });
+    open.push(manager);
+    await manager.init();
+    return manager;
+  }
+
+  describe.each([
+    ['MemoryNotificationStore', () => new MemoryNotificationStore()],
+    ['FileNotificationStore', () => new FileNotificationStore(dir)]
+  ])('%s', (name, createStore) => {
+    test('notifications are scoped to their recipient', async () => {
+      const manager = await boot(createStore());
+      const mine = await manager.createCustomNotification('alice', 'ping', {});
+      await manager.createCustomNotification('bob', 'ping', {});
+
+      expect((await manager.getAllNotifications('alice')).map(n => n.id)).toEqual([mine.id]);
+      expect(await manager.markAsRead(mine.id, 'bob')).toBe(false);
+      expect(await manager.deleteNotification(mine.id, 'bob')).toBe(false);
+      expect(await manager.getNotificationStats('alice')).toEqual({ total: 1, unread: 1 });
+      expect(await manager.getNotificationStats('bob')).toEqual({ total: 1, unread: 1 });
+    });
+
+    test('a delete racing a mark-as-read stays deleted', async () => {
+      const manager = await boot(createStore());
+      const notification = await manager.createCustomNotification('alice', 'ping', {});
+
+      const [read, deleted] = await Promise.all([
+        manager.markAsRead(notification.id, 'alice'),
+        manager.deleteNotification(notification.id, 'alice')
+      ]);
+
+      expect(read).toBe(true);
+      expect(deleted).toBe(true);
+      expect(await manager.getAllNotifications('alice')).toEqual([]);
+    });
+  });
+
+  test('FileNotificationStore keeps read state across a restart', async () => {
+    const first = await boot(new FileNotificationStore(dir));
+    const read = await first.createCustomNotification('alice', 'ping', {});
+    const unread = await first.createCustomNotification('alice', 'ping', {});
+    await first.createCustomNotification('bob', 'ping', {});
+    await first.markAsRead(read.id, 'alice');
+    await first.close();
+
+    const second = await boot(new FileNotificationStore(dir));
+
+    expect((await second.getUnreadNotifications('alice')).map(n => n.id)).toEqual([unread.id]);
+    expect(await second.getNotificationStats('alice')).toEqual({ total: 2, unread: 1 });
+    expect(await second.getNotificationStats('bob')).toEqual({ total: 1, unread: 1 });
+  });
+});
@@ -0,0 +1,109 @@
+const CommentManager = require('../services/CommentManager');
+const { MemoryCommentStore } = require('../services/storage');
+const { encodeCursor, decodeCursor, paginate, sortForPaging } = require('../utils/pagination');
+
+const user = { id: 'author', name: 'Author' };
+const keyOf = item => ({ key: item.at, id: item.id });
+
+// Keys are millisecond timestamps; make sure the next comment sorts after the
+// ones before it
+const nextMillisecond = () => new Promise(resolve => setTimeout(resolve, 2));
+
+describe('pagination helpers', () => {
+  const items = sortForPaging(
+    [
+      { id: 'b', at: 1 },
+      { id: 'a', at: 1 },
+      { id: 'c', at: 2 },
+      { id: 'd', at: 3 }
+    ],
+    keyOf
+  );
+
+  test('cursors round-trip and reject garbage', () => {
+    expect(decodeCursor(encodeCursor('2026-01-01', 'x'))).toEqual({ key: '2026-01-01', id: 'x' });
+    expect(decodeCursor('not a cursor')).toBeNull();
+  });
+
+  test('ties on the key are broken by id', () => {
+    expect(items.map(i => i.id)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('a page starts right after the cursor even when earlier items are added', () => {
+    const first = paginate(items, { limit: 2, keyOf });
+    expect(first.items.map(i => i.id)).toEqual(['a', 'b']);
+    expect(first.hasMore).toBe(true);
+
+    const grown = sortForPaging([...items, { id: 'z', at: 0 }], keyOf);
+    const second = paginate(grown, { limit: 2, cursor: first.nextCursor, keyOf });
+    expect(second.items.map(i => i.id)).toEqual(['c', 'd']);
+    expect(second).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+});
+
+describe('CommentManager paging', () => {
+  let manager;
+
+  beforeEach(async () => {
+    manager = new CommentManager({ store: new MemoryCommentStore() });
+    await manager.init();
+  });
+
+  afterEach(() => manager.close());
+
+  function addThread(itemId, content) {
+    return manager.createCommentWithAnnotation({ itemId, content, user });
+  }
+
+  test('thread pages neither repeat nor skip threads when new threads arrive', async () => {
+    for (let i = 0; i < 5; i++) {
+      await addThread('item-1', `thread ${i}`);
+    }
+    const all = (await manager.getCommentThreadsPage('item-1', user, { limit: 100 })).threads
+      .map(t => t.annotationId);
+
+    const first = await manager.getCommentThreadsPage('item-1', user, { limit: 2 });
+    await nextMillisecond();
+    await addThread('item-1', 'newest');
+    const second = await manager.getCommentThreadsPage('item-1', user, { limit: 2, cursor: first.nextCursor });
+    const third = await manager.getCommentThreadsPage('item-1', user, { limit: 2, cursor: second.nextCursor });
+
+    const paged = [...first.threads, ...second.threads, ...third.threads].map(t => t.annotationId);
+    expect(paged).toEqual(all);
+    expect(third.hasMore).toBe(false);
+  });
+
+  test('comment pages continue after the cursor when comments are added', async () => {
+    const root = await addThread('item-1', 'root');
+    const reply = content => manager.createCommentWithAnnotation({
+      itemId: 'item-1',
+      content,
+      user,
+      parentId: root.id,
+      replyToAnnotationId: root.annotationId,
+      isReply: true
+    });
+    for (let i = 0; i < 3; i++) {
+      await reply(`reply ${i}`);
+    }
+    const all = (await manager.getCommentThread(root.annotationId)).comments.map(c => c.id);
+
+    const first = await manager.getCommentThread(root.annotationId, { limit: 2 });
+    await nextMillisecond();
+    const late = await reply('late reply');
+    const second = await manager.getCommentThread(root.annotationId, { limit: 10, cursor: first.nextCursor });
+
+    expect([...first.comments, ...second.comments].map(c => c.id)).toEqual([...all, late.id]);
+  });
+
+  test('thread lists default to a page of 50', async () => {
+    for (let i = 0; i < 51; i++) {
+      await addThread('big-item', `thread ${i}`);
+    }
+
+    const page = await manager.getCommentThreadsPage('big-item', user);
+
+    expect(page.threads).toHaveLength(50);
+    expect(page.hasMore).toBe(true);
+  });
+});
@@ -0,0 +1,2 @@
+// Keep test output readable; the logger reads LOG_LEVEL when it is first required
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,82 @@
+const { startServer, call } = require('./helpers/server');
+
+// Every event the server handles, except the built-in disconnect
+const EVENTS = [
+  'join_thread', 'get_thread_comments', 'leave_thread', 'new_comment',
+  'update_comment', 'delete_comment', 'restore_comment', 'moderate_comment',
+  'lock_thread', 'unlock_thread', 'mark_thread_read', 'assign_thread',
+  'unassign_thread', 'get_assigned_threads', 'get_comment_history',
+  'revert_comment', 'ack_notification', 'get_notifications', 'typing_start',
+  'typing_stop', 'get_comment_threads', 'sync_item', 'add_comment',
+  'update_comment_status', 'add_reaction', 'remove_reaction', 'get_reactions',
+  'leave_item', 'get_presence', 'set_presence_status', 'get_thread_page'
+];
+
+describe('socket acknowledgements', () => {
+  let server;
+  let socket;
+
+  beforeAll(async () => {
+    server = await startServer();
+    socket = await server.connect({ id: 'ack-user', name: 'Ack User' });
+  }, 15000);
+
+  afterAll(() => server.stop());
+
+  test.each(EVENTS)('%s sent with only an ack callback gets a response', async (event) => {
+    const response = await call(socket, event);
+
+    expect(typeof response.ok).toBe('boolean');
+    if (!response.ok) {
+      expect(response.code).toBe('VALIDATION_FAILED');
+    }
+    expect(server.isRunning()).toBe(true);
+  });
+
+  test('events sent without a payload or callback leave the server running', async () => {
+    EVENTS.forEach(event => socket.emit(event));
+
+    // Once this round trip completes, the events before it have been handled
+    await call(socket, 'get_notifications');
+    expect(server.isRunning()).toBe(true);
+  });
+
+  test('errors go to the ack instead of the error event', async () => {
+    const errors = [];
+    socket.on('error', error => errors.push(error));
+
+    const response = await call(socket, 'update_comment', { commentId: 'missing', content: 'x' });
+
+    expect(response).toMatchObject({ ok: false, code: 'NOT_FOUND' });
+    expect(errors).toHaveLength(0);
+    socket.off('error');
+  });
+});
+
+describe('delete grace period configuration', () => {
+  let server;
+
+  afterEach(() => server.stop());
+
+  test('a non-numeric COMMENT_DELETE_GRACE_MS falls back to the default', async () => {
+    server = await startServer({ COMMENT_DELETE_GRACE_MS: 'soon' });
+    const socket = await server.connect({ id: 'grace-user', name: 'Grace User' });
+    const created = await call(socket, 'add_comment', { itemId: 'grace-item', content: 'hi' });
+
+    const response = await call(socket, 'delete_comment', { commentId: created.data.comment.id });
+
+    expect(response.ok).toBe(true);
+    const { deletedAt, purgeAt } = response.data.deletion;
+    expect(new Date(purgeAt) - new Date(deletedAt)).toBe(24 * 60 * 60 * 1000);
+  }, 15000);
+
+  test('a grace period of 0 is kept', async () => {
+    server = await startServer({ COMMENT_DELETE_GRACE_MS: '0' });
+    const socket = await server.connect({ id: 'grace-user', name: 'Grace User' });
+    const created = await call(socket, 'add_comment', { itemId: 'grace-item', content: 'hi' });
+
+    const response = await call(socket, 'delete_comment', { commentId: created.data.comment.id });
+
+    expect(response.data.deletion.purgeAt).toBe(response.data.deletion.deletedAt);
+  }, 15000);
+});
@@ -0,0 +1,85 @@
+const { startServer, call } = require('./helpers/server');
+
+describe('thread acks', () => {
+  let server;
+  let author;
+  let moderator;
+  let reader;
+
+  beforeAll(async () => {
+    server = await startServer();
+    author = await server.connect({ id: 'author', name: 'Author' });
+    moderator = await server.connect({ id: 'mod', name: 'Mod', role: 'moderator' });
+    reader = await server.connect({ id: 'reader', name: 'Reader' });
+  }, 15000);
+
+  afterAll(() => server.stop());
+
+  test('status and lock acks carry thread state, not read markers', async () => {
+    const created = await call(author, 'add_comment', { itemId: 'ack-item', content: 'hello' });
+    const { annotationId } = created.data.comment;
+    const read = await call(reader, 'mark_thread_read', { annotationId });
+    expect(read.ok).toBe(true);
+
+    const status = await call(moderator, 'update_comment_status', { annotationId, status: 'resolved' });
+    const lock = await call(moderator, 'lock_thread', { annotationId });
+
+    for (const response of [status, lock]) {
+      expect(response.ok).toBe(true);
+      expect(response.data.readBy).toBeUndefined();
+      expect(JSON.stringify(response.data)).not.toContain('reader');
+      expect(response.data).toMatchObject({ annotationId, itemId: 'ack-item', status: 'resolved' });
+    }
+    expect(lock.data.locked).toBe(true);
+  });
+
+  test('stale expectedVersion is rejected with VERSION_CONFLICT and the current state', async () => {
+    const created = await call(author, 'add_comment', { itemId: 'ack-item', content: 'v1' });
+    const { id, annotationId } = created.data.comment;
+    await call(author, 'update_comment', { commentId: id, content: 'v2', expectedVersion: 1 });
+    await call(author, 'update_comment_status', { annotationId, status: 'resolved', expectedVersion: 0 });
+
+    const edit = await call(author, 'update_comment', { commentId: id, content: 'stale', expectedVersion: 1 });
+    const status = await call(moderator, 'update_comment_status', { annotationId, status: 'archived', expectedVersion: 0 });
+
+    expect(edit).toMatchObject({ ok: false, code: 'VERSION_CONFLICT', details: { current: { content: 'v2', version: 2 } } });
+    expect(status).toMatchObject({ ok: false, code: 'VERSION_CONFLICT', details: { current: { status: 'resolved', version: 1 } } });
+  });
+
+  test('unassigning someone else is forbidden unless you assigned them or moderate', async () => {
+    const created = await call(author, 'add_comment', { itemId: 'ack-item', content: 'assign me' });
+    const { annotationId } = created.data.comment;
+    await call(author, 'assign_thread', { annotationId, assigneeId: 'reviewer' });
+    await call(author, 'assign_thread', { annotationId, assigneeId: 'second' });
+
+    const denied = await call(reader, 'unassign_thread', { annotationId, assigneeId: 'reviewer' });
+    expect(denied).toMatchObject({ ok: false, code: 'FORBIDDEN' });
+
+    const byAssigner = await call(author, 'unassign_thread', { annotationId, assigneeId: 'reviewer' });
+    expect(byAssigner.data.assignees.map(a => a.id)).toEqual(['second']);
+    const byModerator = await call(moderator, 'unassign_thread', { annotationId, assigneeId: 'second' });
+    expect(byModerator.data.assignees).toEqual([]);
+  });
+
+  test('get_thread_page pages through a thread without repeating comments', async () => {
+    const created = await call(author, 'add_comment', { itemId: 'ack-item', content: 'first' });
+    const { annotationId } = created.data.comment;
+    for (const content of ['second', 'third', 'fourth']) {
+      await call(author, 'add_comment', { annotationId, content, isReply: true });
+    }
+
+    const pageEvent = new Promise(resolve => reader.once('thread_page', resolve));
+    const first = await call(reader, 'get_thread_page', { annotationId, limit: 3 });
+    expect(await pageEvent).toEqual(first.data);
+    expect(first.data).toMatchObject({ annotationId, hasMore: true });
+    expect(first.data.comments).toHaveLength(3);
+
+    const second = await call(reader, 'get_thread_page', { annotationId, limit: 3, cursor: first.data.nextCursor });
+    expect(second.data).toMatchObject({ hasMore: false, nextCursor: null, cursor: first.data.nextCursor });
+    const contents = [...first.data.comments, ...second.data.comments].map(c => c.content);
+    expect(contents.sort()).toEqual(['first', 'fourth', 'second', 'third']);
+
+    expect(await call(reader, 'get_thread_page', { annotationId: 'missing' }))
+      .toMatchObject({ ok: false, code: 'NOT_FOUND' });
+  });
+});
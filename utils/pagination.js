@@ -0,0 +1,65 @@
+// Keyset pagination with opaque cursors. A cursor records the sort key and id
+// of the last item on a page and the next page starts right after it, so
+// items added in the meantime don't shift later pages the way offsets do.
+
+function encodeCursor(key, id) {
+  return Buffer.from(JSON.stringify([key, id])).toString('base64url');
+}
+
+// Returns { key, id }, or null if the cursor is malformed
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 2 || typeof decoded[1] !== 'string') {
+      return null;
+    }
+    return { key: decoded[0], id: decoded[1] };
+  } catch (error) {
+    return null;
+  }
+}
+
+function compareKeys(a, b) {
+  if (a.key !== b.key) return a.key < b.key ? -1 : 1;
+  if (a.id !== b.id) return a.id < b.id ? -1 : 1;
+  return 0;
+}
+
+// Sort a copy of items by (key, id), in the order paginate expects
+function sortForPaging(items, keyOf, descending = false) {
+  const direction = descending ? -1 : 1;
+  return [...items].sort((a, b) => compareKeys(keyOf(a), keyOf(b)) * direction);
+}
+
+// Page through items that are already sorted by (key, id). keyOf(item) returns
+// { key, id }; pass descending: true for lists sorted newest first.
+// Returns { items, hasMore, nextCursor }. Without a limit everything after the
+// cursor is returned.
+function paginate(items, { limit, cursor, keyOf, descending = false }) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  const direction = descending ? -1 : 1;
+  const remaining = after
+    ? items.filter(item => compareKeys(keyOf(item), after) * direction > 0)
+    : items;
+
+  if (!limit || remaining.length <= limit) {
+    return { items: remaining, hasMore: false, nextCursor: null };
+  }
+
+  const page = remaining.slice(0, limit);
+  const last = keyOf(page[page.length - 1]);
+  return { items: page, hasMore: true, nextCursor: encodeCursor(last.key, last.id) };
+}
+
+// Joi custom validator for cursor fields
+function validateCursor(value, helpers) {
+  return decodeCursor(value) ? value : helpers.error('any.invalid');
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  sortForPaging,
+  paginate,
+  validateCursor
+};
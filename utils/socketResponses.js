@@ -0,0 +1,57 @@
+// Replies to socket events. Clients that pass a Socket.IO ack callback get
+// { ok: true, data } or { ok: false, code, message, details }; clients that
+// don't get the legacy `error` event on failure instead.
+
+// Stable error codes for ack responses. Messages are for humans and may change.
+const ERROR_CODES = {
+  VALIDATION_FAILED: 'VALIDATION_FAILED', // the payload failed validation
+  NOT_FOUND: 'NOT_FOUND', // the comment, thread or notification doesn't exist
+  FORBIDDEN: 'FORBIDDEN', // the user may not do this (role, ownership, locked thread)
+  CONFLICT: 'CONFLICT', // not possible in the target's current state
+  VERSION_CONFLICT: 'VERSION_CONFLICT', // expectedVersion is stale; details.current is the server's state
+  RATE_LIMITED: 'RATE_LIMITED', // details.retryAfter is the wait in ms
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+function respond(ack, data = null) {
+  if (typeof ack === 'function') {
+    ack({ ok: true, data });
+  }
+}
+
+// extra holds the fields legacy `error` events carried ({ details },
+// { retryAfter }, ...). Ack responses put them in details.
+function respondError(socket, ack, code, message, extra = {}) {
+  if (typeof ack !== 'function') {
+    socket.emit('error', { message, ...extra });
+    return;
+  }
+
+  const { details, ...context } = extra;
+  ack({
+    ok: false,
+    code,
+    message,
+    details: details || (Object.keys(context).length > 0 ? context : null)
+  });
+}
+
+// Socket middleware: an event sent with only an ack callback receives it as
+// its first argument. Insert an empty payload so handlers can take (data, ack);
+// events sent with no payload at all get one too, so handlers never see
+// undefined data.
+function moveAckCallback(packet, next) {
+  if (packet.length === 1) {
+    packet.push({});
+  } else if (packet.length === 2 && typeof packet[1] === 'function') {
+    packet.splice(1, 0, {});
+  }
+  next();
+}
+
+module.exports = {
+  ERROR_CODES,
+  respond,
+  respondError,
+  moveAckCallback
+};